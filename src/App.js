@@ -1,14 +1,71 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import LoadingSpinner from './LoadingSpinner';
 import RideTracker from './RideTracker';
-import { getCachedRoute, setCachedRoute } from './routeCache';
+import { getCachedRoute, setCachedRoute, routeCacheKey, routeCacheStats, clearRouteCache } from './routeCache';
+import { TRAVEL_PROFILES, DEFAULT_PROFILE } from './travelProfiles';
+import { createRoutingProvider, createRouter, routingChainFromEnv, RoutingError } from './routing';
+import { createGeocoder, geocoderConfigFromEnv } from './geocoding';
+import { needsAddresses, addressLookupKey, lookupRideAddresses } from './rideAddresses';
+import SavedPlaces from './SavedPlaces';
+import CoordinateFormats from './CoordinateFormats';
+import {
+  loadSavedPlaces,
+  loadRecentSearches,
+  findSavedPlace,
+  savePlace,
+  renamePlace,
+  removePlace,
+  addRecentSearch,
+  clearRecentSearches,
+  quickPickSuggestions,
+} from './places';
+import TravelProfilePicker from './TravelProfilePicker';
+import WaypointMarkers, { StopList } from './Waypoints';
+import { moveStop, removeStop } from './stops';
+import RouteAlternativesList, { AlternativeRoutesLayer, ROUTE_COLORS } from './RouteAlternatives';
+import IsochronePanel, { IsochroneLayer } from './IsochroneOverlay';
+import { fetchIsochrone, ISOCHRONE_PRESETS, DEFAULT_ISOCHRONE_BANDS } from './isochrone';
+import NavigationSteps from './NavigationSteps';
+import { navigationState, reroute, DEFAULT_NAVIGATION_SETTINGS } from './navigation';
+import NavigationSettings from './NavigationSettings';
 import GeocodeInput from './GeocodeInput';
+import RideHistory from './RideHistory';
+import RideTrackLayer from './RideTrackLayer';
+import RideDetail from './RideDetail';
+import RideTrimEditor, { initialTrimRange } from './RideTrimEditor';
+import StatsDashboard from './StatsDashboard';
+import GpsFilterSettings from './GpsFilterSettings';
+import InterruptedRidePrompt from './InterruptedRidePrompt';
+import UndoToast from './UndoToast';
+import { loadInterruptedRide, clearCheckpoint, checkpointToRide } from './rideRecovery';
+import { initRideStore, loadRides, saveRides, deleteRides } from './rideStore';
+import { mergeRides } from './rideEdit';
+import TrackDropZone, { ImportFileButton, ImportedTrackLayer, ImportedTrackPanel } from './TrackImport';
+import { readTrackFile, trackToRide } from './rideImport';
 import MusicApp from './MusicApp';
 import WeatherApp from './WeatherApp';
 import { MapContainer, TileLayer, Marker, Popup, useMap, Polyline, useMapEvent } from 'react-leaflet';
 import 'leaflet/dist/leaflet.css';
 import L from 'leaflet';
-import { SunIcon, MoonIcon, MenuIcon, XIcon } from '@heroicons/react/solid';
+import { SunIcon, MoonIcon, MenuIcon, XIcon, StarIcon } from '@heroicons/react/solid';
+
+const RIDE_PAGE_SIZE = 20;
+// The configured provider, falling back to the next one in the chain when it fails
+const routingProvider = createRouter(routingChainFromEnv().map(createRoutingProvider));
+const geocoder = createGeocoder(geocoderConfigFromEnv());
+// Off-route time before rerouting, and the minimum gap between reroutes (ms)
+const OFF_ROUTE_CONFIRM_MS = 5000;
+const REROUTE_COOLDOWN_MS = 15000;
+
+// Settings object saved under key, or {} when it's missing or can't be read
+function readStoredObject(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {};
+  } catch (err) {
+    return {};
+  }
+}
 
 // Fix Leaflet icon issues
 delete L.Icon.Default.prototype._getIconUrl;
@@ -78,7 +135,7 @@ function LocationMarker({ onLocation }) {
 }
 
 
-function DestinationMarker({ destination, onGetDirections, showPopup, distance, duration, directionsError }) {
+function DestinationMarker({ destination, onGetDirections, onMove, address, lookingUpAddress, saved, onToggleSaved, showPopup, distance, duration, directionsError }) {
   const markerRef = useRef();
   useEffect(() => {
     if (showPopup && markerRef.current) {
@@ -86,17 +143,40 @@ function DestinationMarker({ destination, onGetDirections, showPopup, distance,
     }
   }, [showPopup, destination]);
   return destination ? (
-    <Marker position={destination} ref={markerRef} icon={L.icon({
-      iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png',
-      shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
-      iconSize: [25, 41],
-      iconAnchor: [12, 41],
-      popupAnchor: [1, -34],
-      shadowSize: [41, 41]
-    })}>
+    <Marker
+      position={destination}
+      ref={markerRef}
+      draggable
+      eventHandlers={{
+        dragend: (e) => {
+          const { lat, lng } = e.target.getLatLng();
+          onMove([lat, lng]);
+        },
+      }}
+      icon={L.icon({
+        iconUrl: 'https://raw.githubusercontent.com/pointhi/leaflet-color-markers/master/img/marker-icon-red.png',
+        shadowUrl: require('leaflet/dist/images/marker-shadow.png'),
+        iconSize: [25, 41],
+        iconAnchor: [12, 41],
+        popupAnchor: [1, -34],
+        shadowSize: [41, 41]
+      })}
+    >
       <Popup>
         <div className="flex flex-col gap-2">
-          <span>Destination</span>
+          <div className="flex items-center justify-between gap-2">
+            <span className="font-semibold">Destination</span>
+            <button
+              className={saved ? 'text-yellow-500' : 'text-gray-400 hover:text-yellow-500'}
+              onClick={onToggleSaved}
+              aria-label={saved ? 'Remove from saved places' : 'Save this place'}
+              title={saved ? 'Remove from saved places' : 'Save this place'}
+            >
+              <StarIcon className="w-5 h-5" />
+            </button>
+          </div>
+          {lookingUpAddress && <span className="text-xs text-gray-500">Looking up address…</span>}
+          {!lookingUpAddress && address && <span className="text-xs max-w-[14rem]">{address}</span>}
           <button
             className="bg-green-500 hover:bg-green-600 text-white px-2 py-1 rounded text-xs"
             onClick={onGetDirections}
@@ -116,9 +196,9 @@ function DestinationMarker({ destination, onGetDirections, showPopup, distance,
   ) : null;
 }
 
-function DirectionsPolyline({ route }) {
+function DirectionsPolyline({ route, color = 'blue' }) {
   return route && route.length > 0 ? (
-    <Polyline positions={route} color="blue" weight={4} />
+    <Polyline positions={route} color={color} weight={4} />
   ) : null;
 }
 
@@ -135,7 +215,25 @@ function App() {
 
   const [userPosition, setUserPosition] = useState([21.0285, 105.8542]);
   const [destination, setDestination] = useState(null);
+  const [destinationAddress, setDestinationAddress] = useState(null);
+  const [lookingUpAddress, setLookingUpAddress] = useState(false);
+  const [savedPlaces, setSavedPlaces] = useState(loadSavedPlaces);
+  const [recentSearches, setRecentSearches] = useState(loadRecentSearches);
+  const [stops, setStops] = useState([]);
+  const [addingStop, setAddingStop] = useState(false);
   const [route, setRoute] = useState([]);
+  const [legs, setLegs] = useState([]);
+  const [alternatives, setAlternatives] = useState([]);
+  const [activeRouteIndex, setActiveRouteIndex] = useState(0);
+  const [routedBy, setRoutedBy] = useState(routingProvider.id);
+  const [isochrone, setIsochrone] = useState(null);
+  const [pickingIsochrone, setPickingIsochrone] = useState(false);
+  const [loadingIsochrone, setLoadingIsochrone] = useState(false);
+  const [isochroneBands, setIsochroneBands] = useState(() => {
+    const stored = localStorage.getItem('isochroneBands');
+    return ISOCHRONE_PRESETS.find((preset) => preset.join() === stored) || DEFAULT_ISOCHRONE_BANDS;
+  });
+  const [livePosition, setLivePosition] = useState(null);
   const [directionsError, setDirectionsError] = useState(null);
   const [distance, setDistance] = useState(null);
   const [duration, setDuration] = useState(null);
@@ -143,15 +241,45 @@ function App() {
   const [destinationPopup, setDestinationPopup] = useState(false);
   const [loadingDirections, setLoadingDirections] = useState(false);
   const [lastRouteKey, setLastRouteKey] = useState("");
+  const [travelProfile, setTravelProfile] = useState(() => {
+    const stored = localStorage.getItem('travelProfile');
+    return TRAVEL_PROFILES[stored] ? stored : DEFAULT_PROFILE;
+  });
   const [musicOpen, setMusicOpen] = useState(false);
   const [weatherOpen, setWeatherOpen] = useState(false);
+  const [statsOpen, setStatsOpen] = useState(false);
   const [tracking, setTracking] = useState(false);
+  const [paused, setPaused] = useState(false);
+  const [interruptedRide, setInterruptedRide] = useState(null);
+  const [resumeRide, setResumeRide] = useState(null);
+  const [autoPause, setAutoPause] = useState(() => localStorage.getItem('autoPause') !== 'false');
   // Removed unused rideStats state to fix lint warning.
   const [demoMode, setDemoMode] = useState(false);
-  const [rideHistory, setRideHistory] = useState(() => {
-    const stored = localStorage.getItem('rideHistory');
-    return stored ? JSON.parse(stored) : [];
-  });
+  const [rideHistory, setRideHistory] = useState([]);
+  const [hasMoreRides, setHasMoreRides] = useState(false);
+  const [importedTrack, setImportedTrack] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [demoRoute, setDemoRoute] = useState(null);
+  const [selectedRide, setSelectedRide] = useState(null);
+  const [deletedRides, setDeletedRides] = useState(null);
+  const [replayTime, setReplayTime] = useState(null);
+  const [trimRange, setTrimRange] = useState(null);
+  const [gpsFilterOptions, setGpsFilterOptions] = useState(() => readStoredObject('gpsFilterOptions'));
+  const [navigationSettings, setNavigationSettings] = useState(() => ({
+    ...DEFAULT_NAVIGATION_SETTINGS,
+    ...readStoredObject('navigationSettings'),
+  }));
+  const offRouteSinceRef = useRef(null);
+  const lastRerouteRef = useRef(0);
+  // AbortController of the directions request in flight
+  const directionsRequestRef = useRef(null);
+  const isochroneRequestRef = useRef(null);
+  // Position of the latest destination address lookup, so older answers are ignored
+  const destinationLookupRef = useRef(null);
+  // Ride address lookups started and not failed (see addressLookupKey)
+  const addressLookupsRef = useRef(new Set());
+  const rideHistoryRef = useRef(rideHistory);
+  rideHistoryRef.current = rideHistory;
   const mapRef = useRef();
 
   useEffect(() => {
@@ -162,6 +290,94 @@ function App() {
     }
   }, [darkMode]);
 
+  // Open the ride store (migrating old localStorage rides) and load the first page
+  useEffect(() => {
+    initRideStore()
+      .then(() => loadRides({ limit: RIDE_PAGE_SIZE }))
+      .then(({ rides, hasMore }) => {
+        setRideHistory(rides);
+        setHasMoreRides(hasMore);
+      })
+      .catch((err) => console.error('Error loading rides:', err));
+  }, []);
+
+  // Reverse geocode the endpoints of rides that haven't been looked up yet. The
+  // geocoder queues and caches requests, so a page of old rides is fine.
+  useEffect(() => {
+    rideHistory
+      .filter((ride) => needsAddresses(ride) && !addressLookupsRef.current.has(addressLookupKey(ride)))
+      .forEach(async (ride) => {
+        addressLookupsRef.current.add(addressLookupKey(ride));
+        try {
+          const addresses = await lookupRideAddresses(geocoder, ride);
+          // The ride may have been edited or deleted in the meantime
+          const current = rideHistoryRef.current.find((r) => r.id === ride.id);
+          if (!current || addressLookupKey(current) !== addressLookupKey(ride)) return;
+          const [saved] = await saveRides([{ ...current, ...addresses }]);
+          mergeIntoHistory([saved]);
+          setSelectedRide((prev) => (prev && prev.id === saved.id ? saved : prev));
+        } catch (err) {
+          console.error('Could not look up ride addresses:', err);
+          // Try again the next time the history changes
+          addressLookupsRef.current.delete(addressLookupKey(ride));
+        }
+      });
+    // mergeIntoHistory only uses state setters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [rideHistory]);
+
+  // Offer to recover a recording that was cut short by a reload or crash
+  useEffect(() => {
+    loadInterruptedRide().then((checkpoint) => {
+      if (checkpoint) setInterruptedRide(checkpoint);
+    });
+  }, []);
+
+  // Latest recorded position of the ride in progress, for navigation
+  const handleRideUpdate = useCallback(({ positions }) => {
+    const last = positions[positions.length - 1];
+    if (last) setLivePosition((prev) => (prev && prev[0] === last[0] && prev[1] === last[1] ? prev : last));
+  }, []);
+
+  const steps = useMemo(() => (alternatives[activeRouteIndex] ? alternatives[activeRouteIndex].steps : []), [alternatives, activeRouteIndex]);
+  const navigation = useMemo(
+    () => (tracking && livePosition ? navigationState(steps, route, livePosition) : null),
+    [tracking, livePosition, steps, route]
+  );
+  const nextTurn = navigation && steps[navigation.stepIndex + 1]
+    ? { instruction: steps[navigation.stepIndex + 1].instruction, distance: navigation.distanceToNext }
+    : null;
+
+  const offRoute = navigation !== null && navigation.offset > navigationSettings.offRouteDistance;
+
+  // Reroute from the live position once the rider has stayed off the route for a
+  // few seconds, so a single bad GPS fix doesn't trigger it. Checked on a timer:
+  // the GPS filter drops fixes while the rider stands still, so position updates
+  // may stop coming. The cache is skipped since a cached route from near the
+  // original start could be the one the rider just left.
+  const checkRerouteRef = useRef(null);
+  checkRerouteRef.current = () => {
+    const now = Date.now();
+    if (!navigationSettings.autoReroute || loadingDirections) return;
+    if (now - offRouteSinceRef.current < OFF_ROUTE_CONFIRM_MS || now - lastRerouteRef.current < REROUTE_COOLDOWN_MS) return;
+    lastRerouteRef.current = now;
+    // Passed stops are only dropped once the new route is up; if it fails the
+    // rider keeps the old route and the next check tries again
+    reroute(route, stops, livePosition, (request) => fetchDirections({ ...request, cache: false, keepRoute: true }))
+      .then((remaining) => {
+        if (remaining) setStops(remaining);
+      });
+  };
+  useEffect(() => {
+    if (!offRoute) {
+      offRouteSinceRef.current = null;
+      return undefined;
+    }
+    offRouteSinceRef.current = Date.now();
+    const id = setInterval(() => checkRerouteRef.current(), 1000);
+    return () => clearInterval(id);
+  }, [offRoute]);
+
   const toggleDarkMode = () => setDarkMode(!darkMode);
   const toggleSidebar = () => setSidebarOpen(!sidebarOpen);
 
@@ -170,105 +386,372 @@ function App() {
     setUserPosition(pos);
   };
 
+  const quickPicks = useMemo(() => quickPickSuggestions(savedPlaces, recentSearches), [savedPlaces, recentSearches]);
+
+  // Stars or unstars a place ({ lat, lng, label, name? })
+  const handleToggleSavedPlace = (place) => {
+    const saved = findSavedPlace(savedPlaces, [place.lat, place.lng]);
+    setSavedPlaces(saved ? removePlace(savedPlaces, saved.id) : savePlace(savedPlaces, place));
+  };
+
+  // Shows the address of a destination picked on the map
+  const lookupDestinationAddress = (latlng) => {
+    destinationLookupRef.current = latlng;
+    setDestinationAddress(null);
+    setLookingUpAddress(true);
+    geocoder.reverse(latlng)
+      .then((place) => {
+        if (destinationLookupRef.current === latlng) setDestinationAddress(place ? place.label : null);
+      })
+      .catch((err) => console.error('Could not look up destination address:', err))
+      .finally(() => {
+        if (destinationLookupRef.current === latlng) setLookingUpAddress(false);
+      });
+  };
+
+  // Visible map area, used to bias place searches
+  const mapBounds = () => {
+    if (!mapRef.current) return null;
+    const bounds = mapRef.current.getBounds();
+    return { south: bounds.getSouth(), west: bounds.getWest(), north: bounds.getNorth(), east: bounds.getEast() };
+  };
+
   // Handle geocode selection
-  const handleGeocodeSelect = ({ lat, lng, label }) => {
+  const handleGeocodeSelect = ({ lat, lng, label, name, provider }) => {
     setDestination([lat, lng]);
+    destinationLookupRef.current = null;
+    setDestinationAddress(label);
+    setLookingUpAddress(false);
+    if (provider !== 'saved') setRecentSearches(addRecentSearch(recentSearches, { lat, lng, label, name }));
+    if (mapRef.current) mapRef.current.panTo([lat, lng]);
     setDirectionsError(null);
+    clearRoute();
+    setDestinationPopup(true);
+  };
+
+
+  // Makes one of the fetched routes the active one that is drawn, followed in
+  // demo mode and used for navigation
+  const selectRoute = (routes, index) => {
+    const active = routes[index];
+    setActiveRouteIndex(index);
+    setRoute(active.route);
+    setLegs(active.legs);
+    setDistance(active.distance);
+    setDuration(active.duration);
+  };
+
+  // Drops the request in flight; its result would be for stale waypoints
+  const cancelDirections = () => {
+    if (!directionsRequestRef.current) return;
+    directionsRequestRef.current.abort();
+    directionsRequestRef.current = null;
+    setLoadingDirections(false);
+  };
+
+  const clearRoute = () => {
+    cancelDirections();
+    setAlternatives([]);
+    setRoute([]);
+    setLegs([]);
     setDistance(null);
     setDuration(null);
-    setRoute([]);
-    setDestinationPopup(true);
   };
 
+  const showRoutes = (routes) => {
+    setAlternatives(routes);
+    selectRoute(routes, 0);
+  };
 
-  // Fetch directions from OSRM or Mapbox, with caching and loading
-  const fetchDirections = async () => {
-    if (!userPosition || !destination) return;
-    const from = `${userPosition[0]},${userPosition[1]}`;
-    const to = `${destination[0]},${destination[1]}`;
-    const routeKey = `${from}|${to}`;
+  // Fetch directions from the configured routing provider, with caching and loading
+  // Overrides let callers route with values that were just set and aren't in state yet
+  // cache: false always asks the router (the answer is still cached)
+  // keepRoute: true leaves the current route up until the new one arrives
+  // Resolves to whether a route for these waypoints is shown
+  const fetchDirections = async ({ profile = travelProfile, origin = userPosition, stops: via = stops, destination: to = destination, cache = true, keepRoute = false } = {}) => {
+    if (!origin || !to) return false;
+    const waypoints = [origin, ...via, to];
+    const routeKey = routeCacheKey(profile, waypoints);
     if (routeKey === lastRouteKey && distance !== null && duration !== null && route.length) {
       // Already fetched this route, do nothing
       setDestinationPopup(true);
-      return;
+      return true;
     }
     setDirectionsError(null);
-    setRoute([]);
-    setDistance(null);
-    setDuration(null);
+    if (keepRoute) cancelDirections();
+    else clearRoute();
     setLoadingDirections(true);
-    setLastRouteKey(routeKey);
     // Check cache
-    const cached = getCachedRoute(routeKey);
+    const cacheRequest = { provider: routingProvider.id, profile, waypoints };
+    const cached = cache && getCachedRoute(cacheRequest);
     if (cached) {
-      setRoute(cached.route);
-      setDistance(cached.distance);
-      setDuration(cached.duration);
+      showRoutes(cached.routes);
+      setRoutedBy(routingProvider.id);
+      setLastRouteKey(routeKey);
       setLoadingDirections(false);
       setDestinationPopup(true);
-      return;
+      return true;
     }
+    const controller = new AbortController();
+    directionsRequestRef.current = controller;
     try {
-      let coords, dist, dur;
-      let data;
-      // Prefer Mapbox if token is set
-      const MAPBOX_TOKEN = process.env.REACT_APP_MAPBOX_TOKEN;
-      if (MAPBOX_TOKEN) {
-        const url = `https://api.mapbox.com/directions/v5/mapbox/walking/${userPosition[1]},${userPosition[0]};${destination[1]},${destination[0]}?geometries=geojson&access_token=${MAPBOX_TOKEN}`;
-        const response = await fetch(url);
-        data = await response.json();
-        if (data.routes && data.routes.length > 0) {
-          coords = data.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]);
-          dist = data.routes[0].distance;
-          dur = data.routes[0].duration;
-        } else {
-          throw new Error('No route found.');
-        }
-      } else {
-        // Fallback to OSRM
-        const url = `https://router.project-osrm.org/route/v1/foot/${userPosition[1]},${userPosition[0]};${destination[1]},${destination[0]}?overview=full&geometries=geojson`;
-        const response = await fetch(url);
-        data = await response.json();
-        if (data.routes && data.routes.length > 0) {
-          coords = data.routes[0].geometry.coordinates.map(([lng, lat]) => [lat, lng]);
-          dist = data.routes[0].distance;
-          dur = data.routes[0].duration;
-        } else {
-          throw new Error('No route found.');
-        }
+      // Routers only offer alternatives between two points
+      const { routes, provider } = await routingProvider.route({
+        waypoints,
+        profile,
+        alternatives: via.length === 0,
+        signal: controller.signal,
+      });
+      if (controller.signal.aborted) return false;
+      showRoutes(routes);
+      setRoutedBy(provider);
+      // Set only once shown, so a failed reroute to the same key can be retried
+      setLastRouteKey(routeKey);
+      // Fallback answers aren't cached so the preferred provider gets asked next time
+      if (provider === routingProvider.id) setCachedRoute(cacheRequest, { routes });
+      return true;
+    } catch (err) {
+      if (controller.signal.aborted) return false;
+      setDirectionsError(err instanceof RoutingError ? err.message : 'Failed to fetch directions.');
+      return false;
+    } finally {
+      // A newer request owns the loading state once this one was cancelled
+      if (directionsRequestRef.current === controller) {
+        directionsRequestRef.current = null;
+        setLoadingDirections(false);
+        setDestinationPopup(true);
       }
-      setRoute(coords);
-      setDistance(dist);
-      setDuration(dur);
-      setCachedRoute(routeKey, { route: coords, distance: dist, duration: dur });
+    }
+  };
+
+  // Draws the reachable area around center, replacing any request in flight
+  const showIsochrone = async (center, { profile = travelProfile, minutes = isochroneBands } = {}) => {
+    if (isochroneRequestRef.current) isochroneRequestRef.current.abort();
+    const controller = new AbortController();
+    isochroneRequestRef.current = controller;
+    setLoadingIsochrone(true);
+    try {
+      const result = await fetchIsochrone(routingProvider, { center, profile, minutes, signal: controller.signal });
+      if (!controller.signal.aborted) setIsochrone({ ...result, center });
     } catch (err) {
-      setDirectionsError('Failed to fetch directions.');
+      if (!controller.signal.aborted) console.error('Failed to compute isochrone:', err);
     } finally {
-      setLoadingDirections(false);
-      setDestinationPopup(true);
+      if (isochroneRequestRef.current === controller) {
+        isochroneRequestRef.current = null;
+        setLoadingIsochrone(false);
+      }
+    }
+  };
+
+  const clearIsochrone = () => {
+    if (isochroneRequestRef.current) isochroneRequestRef.current.abort();
+    isochroneRequestRef.current = null;
+    setLoadingIsochrone(false);
+    setIsochrone(null);
+  };
+
+  const handleIsochroneBandsChange = (bands) => {
+    setIsochroneBands(bands);
+    localStorage.setItem('isochroneBands', bands.join());
+    if (isochrone) showIsochrone(isochrone.center, { minutes: bands });
+  };
+
+  // Switching profile re-routes straight away when a route is already shown
+  const handleTravelProfileChange = (profile) => {
+    setTravelProfile(profile);
+    localStorage.setItem('travelProfile', profile);
+    if (route.length) fetchDirections({ profile });
+    if (isochrone) showIsochrone(isochrone.center, { profile });
+  };
+
+  // Moving the destination or stops re-routes when a route is already shown
+  const updateWaypoints = ({ stops: nextStops = stops, destination: nextDestination = destination }) => {
+    setStops(nextStops);
+    setDestination(nextDestination);
+    if (route.length && nextDestination) {
+      fetchDirections({ stops: nextStops, destination: nextDestination });
+    } else {
+      clearRoute();
     }
   };
 
-  // Handle map click to set destination
+  const handleReorderStop = (from, to) => updateWaypoints({ stops: moveStop(stops, from, to) });
+
+  // Handle map click to set destination, or add a stop while in "add stop" mode
   const handleMapClick = (latlng) => {
+    if (addingStop) {
+      setAddingStop(false);
+      updateWaypoints({ stops: [...stops, latlng] });
+      return;
+    }
+    if (pickingIsochrone) {
+      setPickingIsochrone(false);
+      showIsochrone(latlng);
+      return;
+    }
     setDestination(latlng);
+    lookupDestinationAddress(latlng);
     setDirectionsError(null);
-    setDistance(null);
-    setDuration(null);
-    setRoute([]);
+    clearRoute();
     setDestinationPopup(true);
   };
 
+  // Puts saved records into the history (replacing same-id rides) and drops removeIds
+  const mergeIntoHistory = (saved, removeIds = []) => {
+    const replaced = new Set([...saved.map((r) => r.id), ...removeIds]);
+    setRideHistory((prev) =>
+      [...saved, ...prev.filter((r) => !replaced.has(r.id))].sort((a, b) => new Date(b.date) - new Date(a.date))
+    );
+  };
+
+  const addRides = (rides) => {
+    saveRides(rides)
+      .then((saved) => mergeIntoHistory(saved))
+      .catch((err) => console.error('Error saving rides:', err));
+  };
+
+  const handleLoadMoreRides = () => {
+    loadRides({ offset: rideHistory.length, limit: RIDE_PAGE_SIZE })
+      .then(({ rides, hasMore }) => {
+        setRideHistory((prev) => [...prev, ...rides]);
+        setHasMoreRides(hasMore);
+      })
+      .catch((err) => console.error('Error loading rides:', err));
+  };
+
   // Handle finish ride
   const handleFinishRide = (ride) => {
     setTracking(false);
-    const newRide = {
+    setPaused(false);
+    setResumeRide(null);
+    clearCheckpoint();
+    addRides([{
       ...ride,
       date: new Date().toISOString(),
-    };
-    const updatedHistory = [newRide, ...rideHistory];
-    setRideHistory(updatedHistory);
-    localStorage.setItem('rideHistory', JSON.stringify(updatedHistory));
+    }]);
+  };
+
+  // Stopping a GPS ride, or switching it to demo mode, ends the recording; the
+  // stopped ride stays on screen to be finished but is no longer recoverable
+  const endRecording = () => {
+    if (tracking && !demoMode) clearCheckpoint();
+  };
+
+  const handleResumeInterrupted = () => {
+    setResumeRide(interruptedRide);
+    setInterruptedRide(null);
+    setDemoMode(false);
+    setPaused(false);
+    setTracking(true);
+  };
+
+  const handleSaveInterrupted = () => {
+    addRides([checkpointToRide(interruptedRide)]);
+    clearCheckpoint();
+    setInterruptedRide(null);
+  };
+
+  const handleDiscardInterrupted = () => {
+    clearCheckpoint();
+    setInterruptedRide(null);
+  };
+
+  // Handle a GPX/KML/GeoJSON file picked or dropped on the map
+  const handleImportFile = useCallback(async (file) => {
+    setImportError(null);
+    try {
+      setImportedTrack(await readTrackFile(file));
+    } catch (err) {
+      setImportedTrack(null);
+      setImportError(err.message);
+    }
+  }, []);
+
+  const handleSaveImport = () => {
+    addRides(importedTrack.tracks.map(trackToRide));
+    setImportedTrack(null);
+  };
+
+  const handleUseImportAsDemo = () => {
+    setDemoRoute(importedTrack.tracks[0].points.map((p) => [p.lat, p.lng]));
+    endRecording();
+    setDemoMode(true);
+    setImportedTrack(null);
+  };
+
+  const handleDiscardImport = () => {
+    setImportedTrack(null);
+    setImportError(null);
+  };
+
+  const handleGpsFilterChange = (options) => {
+    setGpsFilterOptions(options);
+    localStorage.setItem('gpsFilterOptions', JSON.stringify(options));
+  };
+
+  const handleNavigationSettingsChange = (settings) => {
+    setNavigationSettings(settings);
+    localStorage.setItem('navigationSettings', JSON.stringify(settings));
+  };
+
+  const handleSelectRide = (ride) => {
+    setSelectedRide(ride);
+    setReplayTime(null);
+    setTrimRange(null);
+  };
+
+  // Delete immediately and keep the records around so the deletion can be undone.
+  // Deleting again before the toast goes away adds to what Undo restores.
+  const handleDeleteRides = (rides) => {
+    const ids = new Set(rides.map((r) => r.id));
+    if (selectedRide && ids.has(selectedRide.id)) setSelectedRide(null);
+    deleteRides([...ids])
+      .then(() => {
+        setRideHistory((prev) => prev.filter((r) => !ids.has(r.id)));
+        setDeletedRides((prev) => [...(prev || []), ...rides]);
+      })
+      .catch((err) => console.error('Error deleting rides:', err));
+  };
+
+  const handleUndoDelete = () => {
+    addRides(deletedRides);
+    setDeletedRides(null);
+  };
+
+  const handleDismissUndo = useCallback(() => setDeletedRides(null), []);
+
+  const handleUpdateRide = (ride) => {
+    saveRides([ride])
+      .then(([saved]) => {
+        mergeIntoHistory([saved]);
+        setSelectedRide((prev) => (prev && prev.id === saved.id ? saved : prev));
+      })
+      .catch((err) => console.error('Error saving ride:', err));
+  };
+
+  const handleTrimRide = (trimmed) => {
+    setTrimRange(null);
+    handleUpdateRide(trimmed);
+  };
+
+  const handleSplitRide = (halves) => {
+    saveRides(halves)
+      .then((saved) => {
+        mergeIntoHistory(saved);
+        handleSelectRide(saved[0]);
+      })
+      .catch((err) => console.error('Error splitting ride:', err));
+  };
+
+  const handleMergeRides = (rides) => {
+    const merged = mergeRides(rides);
+    const removeIds = rides.map((r) => r.id).filter((id) => id !== merged.id);
+    saveRides([merged])
+      .then(([saved]) => deleteRides(removeIds).then(() => {
+        mergeIntoHistory([saved], removeIds);
+        handleSelectRide(saved);
+      }))
+      .catch((err) => console.error('Error merging rides:', err));
   };
 
   return (
@@ -310,8 +793,20 @@ function App() {
           </svg>
         </button>
       </div>
+      <InterruptedRidePrompt
+        checkpoint={interruptedRide}
+        onResume={handleResumeInterrupted}
+        onSave={handleSaveInterrupted}
+        onDiscard={handleDiscardInterrupted}
+      />
       <MusicApp open={musicOpen} onClose={() => setMusicOpen(false)} />
       <WeatherApp open={weatherOpen} onClose={() => setWeatherOpen(false)} darkMode={darkMode} />
+      <StatsDashboard open={statsOpen} onClose={() => setStatsOpen(false)} />
+      <UndoToast
+        message={deletedRides && `Deleted ${deletedRides.length} ride${deletedRides.length === 1 ? '' : 's'}`}
+        onUndo={handleUndoDelete}
+        onDismiss={handleDismissUndo}
+      />
 
       {/* Sidebar */}
       <div
@@ -346,18 +841,58 @@ function App() {
         {/* Destination Search Input */}
         <div className="mb-4">
           <label className="block text-sm font-medium text-gray-700 dark:text-gray-200 mb-1">Destination Search</label>
-          <GeocodeInput onSelect={handleGeocodeSelect} placeholder="Search for a place or address..." />
+          <GeocodeInput
+            geocoder={geocoder}
+            getBounds={mapBounds}
+            onSelect={handleGeocodeSelect}
+            quickPicks={quickPicks}
+            isSaved={(item) => item.lat !== null && findSavedPlace(savedPlaces, [item.lat, item.lng]) !== null}
+            onSavePlace={handleToggleSavedPlace}
+            placeholder="Search for a place, address, coordinates or plus code..."
+          />
+          {destination && <CoordinateFormats position={destination} />}
         </div>
+        <SavedPlaces
+          places={savedPlaces}
+          recents={recentSearches}
+          onGo={(place) => handleGeocodeSelect({ ...place, provider: findSavedPlace(savedPlaces, [place.lat, place.lng]) ? 'saved' : 'recent' })}
+          onRename={(id, name) => setSavedPlaces(renamePlace(savedPlaces, id, name))}
+          onRemove={(id) => setSavedPlaces(removePlace(savedPlaces, id))}
+          onClearRecent={() => setRecentSearches(clearRecentSearches())}
+        />
 
         {/* Directions */}
         <div className="mb-4">
+          <TravelProfilePicker
+            profile={travelProfile}
+            onChange={handleTravelProfileChange}
+            distance={loadingDirections ? null : distance}
+            duration={loadingDirections ? null : duration}
+          />
           <button
             className="w-full bg-green-500 hover:bg-green-600 text-white py-1 rounded"
-            onClick={fetchDirections}
+            onClick={() => fetchDirections()}
             disabled={!userPosition || !destination}
           >
             Get Directions
           </button>
+          {!loadingDirections && (
+            <RouteAlternativesList routes={alternatives} activeIndex={activeRouteIndex} onSelect={(idx) => selectRoute(alternatives, idx)} />
+          )}
+          {!loadingDirections && <NavigationSteps steps={steps} currentIndex={navigation ? navigation.stepIndex : null} />}
+          <StopList
+            stops={stops}
+            legs={loadingDirections ? [] : legs}
+            addingStop={addingStop}
+            onToggleAdding={() => setAddingStop((a) => !a)}
+            onReorder={handleReorderStop}
+            onRemove={(idx) => updateWaypoints({ stops: removeStop(stops, idx) })}
+            onClear={() => updateWaypoints({ stops: [] })}
+          />
+          <p className="text-[10px] text-gray-400 mt-1 text-right">
+            Routing by {routingProvider.providers.find((p) => p.id === routedBy).label}
+            {routedBy !== routingProvider.id && ` (${routingProvider.label} unavailable)`}
+          </p>
           {loadingDirections && <LoadingSpinner />}
           {directionsError && (
             <p className="text-xs text-red-500 mt-2">{directionsError}</p>
@@ -365,57 +900,102 @@ function App() {
           {(distance !== null && duration !== null && !loadingDirections) && (
             <div className="mt-2">
               <div className="text-lg font-bold text-blue-600 dark:text-blue-400">Distance: {(distance/1000).toFixed(2)} km</div>
-              <div className="text-lg font-bold text-green-600 dark:text-green-400">Estimated time: {Math.floor(duration/60)} min {Math.round(duration%60)} sec</div>
+              <div className="text-lg font-bold text-green-600 dark:text-green-400">Estimated time ({TRAVEL_PROFILES[travelProfile].label.toLowerCase()}): {Math.floor(duration/60)} min {Math.round(duration%60)} sec</div>
             </div>
           )}
         </div>
 
+        <IsochronePanel
+          bands={isochroneBands}
+          onBandsChange={handleIsochroneBandsChange}
+          picking={pickingIsochrone}
+          onTogglePicking={() => setPickingIsochrone((p) => !p)}
+          onFromLocation={() => showIsochrone(userPosition)}
+          canUseLocation={!!userPosition}
+          isochrone={isochrone}
+          loading={loadingIsochrone}
+          providerLabel={isochrone && isochrone.provider ? routingProvider.providers.find((p) => p.id === isochrone.provider).label : null}
+          onClear={clearIsochrone}
+        />
+
         {/* Ride History Section */}
-        <div className="mb-6">
-          <h2 className="font-extrabold text-lg mb-3 text-blue-700 dark:text-blue-300 font-poppins tracking-wide drop-shadow">Ride History</h2>
-          <div className="max-h-52 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700 bg-white/80 dark:bg-gray-900/90 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner p-2">
-            {rideHistory.length === 0 && <div className="text-gray-400 italic font-medium text-center py-4">No rides yet.</div>}
-            {rideHistory.map((ride, idx) => (
-              <div key={ride.date + idx} className="py-3 px-2 flex flex-col gap-1 relative group">
-                <button
-                  className="absolute top-2 right-2 opacity-60 group-hover:opacity-100 transition-opacity text-gray-400 hover:text-red-600 dark:hover:text-red-400 dark:text-gray-600 z-10"
-                  title="Delete ride"
-                  onClick={() => {
-                    if (window.confirm('Are you sure you want to delete this ride?')) {
-                      const updated = rideHistory.filter((_, i) => i !== idx);
-                      setRideHistory(updated);
-                      localStorage.setItem('rideHistory', JSON.stringify(updated));
-                    }
-                  }}
-                  aria-label="Delete ride"
-                >
-                  <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 20" className="w-5 h-5" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l8 8M6 14L14 6" />
-                  </svg>
-                </button>
-                <div className="font-bold text-base text-blue-800 dark:text-blue-200 font-poppins">{new Date(ride.date).toLocaleString()}</div>
-                <div className="text-[15px] text-gray-800 dark:text-gray-200 font-medium">
-                  Distance: <span className="font-semibold">{(ride.distance / 1000).toFixed(2)} km</span>
-                </div>
-                <div className="text-[15px] text-gray-800 dark:text-gray-200 font-medium">
-                  Duration: <span className="font-semibold">{Math.floor(ride.duration / 60)}:{(ride.duration % 60).toString().padStart(2, '0')}</span>
-                </div>
-              </div>
-            ))}
-          </div>
+        <RideHistory
+          rides={rideHistory}
+          hasMore={hasMoreRides}
+          onLoadMore={handleLoadMoreRides}
+          onDelete={handleDeleteRides}
+          onUpdate={handleUpdateRide}
+          onMerge={handleMergeRides}
+          selectedRide={selectedRide}
+          onSelect={handleSelectRide}
+        />
+        <div className="mb-4">
+          <button
+            className="w-full mb-2 bg-blue-600 hover:bg-blue-700 text-white py-1 rounded text-sm font-semibold"
+            onClick={() => setStatsOpen(true)}
+          >
+            Ride Statistics
+          </button>
+          <ImportFileButton onFile={handleImportFile} />
+          {demoRoute && (
+            <button
+              className="w-full mt-2 text-xs text-blue-600 dark:text-blue-300 hover:underline"
+              onClick={() => setDemoRoute(null)}
+            >
+              Clear imported demo route
+            </button>
+          )}
         </div>
+        <GpsFilterSettings options={gpsFilterOptions} onChange={handleGpsFilterChange} />
+        <NavigationSettings
+          settings={navigationSettings}
+          onChange={handleNavigationSettingsChange}
+          cacheStats={routeCacheStats()}
+          onClearCache={() => {
+            clearRouteCache();
+            setLastRouteKey('');
+          }}
+        />
         {/* Ride Controls at Bottom of Sidebar */}
         <div className="mt-auto">
           <div className="flex flex-col gap-2 mb-4">
             <button
               className={`w-full px-6 py-2 rounded-lg shadow-md font-bold text-lg ${tracking ? 'bg-red-600 text-white' : 'bg-green-600 text-white'}`}
-              onClick={() => setTracking((t) => !t)}
+              onClick={() => {
+                endRecording();
+                setTracking((t) => !t);
+                setPaused(false);
+                setResumeRide(null);
+                setLivePosition(null);
+              }}
             >
               {tracking ? 'Stop Ride' : 'Start Ride'}
             </button>
+            {tracking && (
+              <button
+                className={`w-full px-4 py-2 rounded-lg shadow-md font-bold text-base ${paused ? 'bg-green-500 text-white' : 'bg-yellow-400 text-gray-900'}`}
+                onClick={() => setPaused((p) => !p)}
+              >
+                {paused ? 'Resume Ride' : 'Pause Ride'}
+              </button>
+            )}
+            <label className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-200">
+              <input
+                type="checkbox"
+                checked={autoPause}
+                onChange={(e) => {
+                  setAutoPause(e.target.checked);
+                  localStorage.setItem('autoPause', String(e.target.checked));
+                }}
+              />
+              Auto-pause when stopped
+            </label>
             <button
               className={`w-full px-4 py-2 rounded-lg font-bold text-sm ${demoMode ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700'}`}
-              onClick={() => setDemoMode((d) => !d)}
+              onClick={() => {
+                endRecording();
+                setDemoMode((d) => !d);
+              }}
             >
               {demoMode ? 'Demo Mode: ON' : 'Demo Mode: OFF'}
             </button>
@@ -429,6 +1009,35 @@ function App() {
 
       {/* Map */}
       <div className="flex-1 relative">
+        <TrackDropZone onFile={handleImportFile} />
+        {selectedRide && (trimRange ? (
+          <RideTrimEditor
+            ride={selectedRide}
+            range={trimRange}
+            onRangeChange={setTrimRange}
+            onTrim={handleTrimRide}
+            onSplit={handleSplitRide}
+            onClose={() => setTrimRange(null)}
+          />
+        ) : (
+          <RideDetail
+            ride={selectedRide}
+            replayTime={replayTime}
+            onReplayTimeChange={setReplayTime}
+            onEditTrack={() => {
+              setReplayTime(null);
+              setTrimRange(initialTrimRange(selectedRide));
+            }}
+            onClose={() => handleSelectRide(null)}
+          />
+        ))}
+        <ImportedTrackPanel
+          track={importedTrack}
+          error={importError}
+          onSave={handleSaveImport}
+          onUseAsDemo={handleUseImportAsDemo}
+          onDiscard={handleDiscardImport}
+        />
         {/* Current Location Button */}
         <button
           className="fixed bottom-8 right-8 z-[1100] bg-blue-600 hover:bg-blue-700 text-white p-3 rounded-full shadow-lg focus:outline-none"
@@ -458,15 +1067,28 @@ function App() {
           <LocationMarker onLocation={handleLocation} />
           <DestinationMarker 
             destination={destination} 
-            onGetDirections={fetchDirections} 
+            onGetDirections={() => fetchDirections()} 
+            onMove={(latlng) => {
+              lookupDestinationAddress(latlng);
+              updateWaypoints({ destination: latlng });
+            }}
+            address={destinationAddress}
+            lookingUpAddress={lookingUpAddress}
+            saved={destination !== null && findSavedPlace(savedPlaces, destination) !== null}
+            onToggleSaved={() => handleToggleSavedPlace({ lat: destination[0], lng: destination[1], label: destinationAddress || '' })}
             showPopup={destinationPopup} 
             distance={distance} 
             duration={duration} 
             directionsError={directionsError}
           />
-          <DirectionsPolyline route={route} />
+          <IsochroneLayer isochrone={isochrone} />
+          <AlternativeRoutesLayer routes={alternatives} activeIndex={activeRouteIndex} onSelect={(idx) => selectRoute(alternatives, idx)} />
+          <DirectionsPolyline route={route} color={alternatives.length > 1 ? ROUTE_COLORS[activeRouteIndex % ROUTE_COLORS.length] : 'blue'} />
+          <WaypointMarkers stops={stops} onMove={(idx, latlng) => updateWaypoints({ stops: stops.map((s, i) => (i === idx ? latlng : s)) })} />
+          <ImportedTrackLayer track={importedTrack} />
+          <RideTrackLayer ride={selectedRide} replayTime={replayTime} range={trimRange} />
           {/* Live Ride Tracker Polyline and Marker */}
-          <RideTracker tracking={tracking} onRideUpdate={() => {}} demoMode={demoMode} directionRoute={route} onFinishRide={handleFinishRide} />
+          <RideTracker tracking={tracking} paused={paused} autoPause={autoPause} onRideUpdate={handleRideUpdate} nextTurn={nextTurn} offRoute={offRoute ? { distance: navigation.offset, rerouting: navigationSettings.autoReroute } : null} demoMode={demoMode} directionRoute={route} demoRoute={demoRoute} filterOptions={gpsFilterOptions} resumeFrom={resumeRide} onFinishRide={handleFinishRide} />
           <MapClickHandler onClick={handleMapClick} />
         </MapContainer>
       </div>
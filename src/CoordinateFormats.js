@@ -0,0 +1,54 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardCopyIcon, ClipboardCheckIcon } from '@heroicons/react/solid';
+import { formatDecimal, formatDMS, formatPlusCode } from './coordinates';
+
+const COPIED_TIMEOUT = 1500; // ms
+
+const FORMATS = [
+  { id: 'decimal', label: 'Decimal', format: formatDecimal },
+  { id: 'dms', label: 'DMS', format: formatDMS },
+  { id: 'pluscode', label: 'Plus code', format: formatPlusCode },
+];
+
+// A [lat, lng] position in every format the search box accepts, each with a copy button
+export default function CoordinateFormats({ position }) {
+  const [copied, setCopied] = useState(null);
+
+  useEffect(() => {
+    if (!copied) return undefined;
+    const id = setTimeout(() => setCopied(null), COPIED_TIMEOUT);
+    return () => clearTimeout(id);
+  }, [copied]);
+
+  // Copying can fail without a secure context or clipboard permission
+  const copy = (id, text) => {
+    navigator.clipboard
+      .writeText(text)
+      .then(() => setCopied(id))
+      .catch((err) => console.error('Could not copy to the clipboard:', err));
+  };
+
+  return (
+    <dl className="mt-2 text-xs text-gray-700 dark:text-gray-300">
+      {FORMATS.map(({ id, label, format }) => {
+        const text = format(position);
+        return (
+          <div key={id} className="flex items-center gap-1 py-0.5">
+            <dt className="w-16 shrink-0 text-gray-500 dark:text-gray-400">{label}</dt>
+            <dd className="flex-1 min-w-0 truncate font-mono" title={text}>{text}</dd>
+            {navigator.clipboard && (
+              <button
+                className="text-gray-500 hover:text-blue-600"
+                onClick={() => copy(id, text)}
+                aria-label={`Copy ${label.toLowerCase()} coordinates`}
+                title={copied === id ? 'Copied' : 'Copy'}
+              >
+                {copied === id ? <ClipboardCheckIcon className="w-4 h-4 text-green-600" /> : <ClipboardCopyIcon className="w-4 h-4" />}
+              </button>
+            )}
+          </div>
+        );
+      })}
+    </dl>
+  );
+}
@@ -1,70 +1,149 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef, useId } from 'react';
+import { StarIcon, ClockIcon } from '@heroicons/react/solid';
+import { GeocodingError, GEOCODING_ERRORS, highlightSegments } from './geocoding';
+import { parseCoordinates, formatDecimal } from './coordinates';
 
-export default function GeocodeInput({ onSelect, placeholder = 'Search for a place or address...' }) {
+// Wait for a pause in typing before searching
+const DEBOUNCE_MS = 300;
+
+const COORDINATE_FORMATS = {
+  decimal: 'Decimal degrees',
+  dms: 'Degrees, minutes, seconds',
+  pluscode: 'Plus code',
+};
+
+// Typed coordinates or plus code as a suggestion that needs no lookup. Short
+// plus codes are taken to be near the middle of the map.
+function coordinateSuggestion(text, bounds) {
+  const reference = bounds ? [(bounds.south + bounds.north) / 2, (bounds.west + bounds.east) / 2] : null;
+  const parsed = parseCoordinates(text, reference);
+  if (!parsed) return null;
+  const label = formatDecimal([parsed.lat, parsed.lng]);
+  return { id: 'coordinates', label, name: label, address: COORDINATE_FORMATS[parsed.format], lat: parsed.lat, lng: parsed.lng, provider: 'coordinates' };
+}
+
+function Highlighted({ text, query }) {
+  return highlightSegments(text, query).map((segment, idx) =>
+    segment.match ? <mark key={idx} className="bg-transparent font-bold text-inherit">{segment.text}</mark> : segment.text
+  );
+}
+
+// Search box backed by a geocoder from geocoding.js. getBounds returns the area
+// to bias results towards (usually the visible map) or null. Coordinates and
+// plus codes are recognised locally and never sent to the geocoder. quickPicks (saved
+// places and recent searches) are offered before anything is typed; results get
+// a star that calls onSavePlace once the result has coordinates.
+// Follows the ARIA combobox pattern: arrow keys move through the suggestions,
+// Enter picks one and Escape closes the list.
+export default function GeocodeInput({ geocoder, getBounds, onSelect, quickPicks = [], isSaved, onSavePlace, placeholder = 'Search for a place or address...' }) {
   const [query, setQuery] = useState('');
+  // What the user typed last; picking a suggestion changes the query but doesn't search
+  const [searchText, setSearchText] = useState('');
   const [suggestions, setSuggestions] = useState([]);
+  const [open, setOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const lastRequestRef = useRef(0);
+  const listId = useId();
 
-  const handleChange = async (e) => {
-    const value = e.target.value;
-    setQuery(value);
+  useEffect(() => {
     setError(null);
-    if (!value) {
+    setActiveIndex(-1);
+    if (!searchText.trim()) {
       setSuggestions([]);
-      return;
+      setLoading(false);
+      return undefined;
     }
-    setLoading(true);
-    try {
-      // Prefer Google Places API if key is set
-      const GOOGLE_API_KEY = process.env.REACT_APP_GOOGLE_API_KEY;
-      if (GOOGLE_API_KEY) {
-        // Google Places Autocomplete API
-        const sessiontoken = window.__google_places_sessiontoken || (window.__google_places_sessiontoken = Math.random().toString(36).substring(2));
-        const googleUrl = `https://maps.googleapis.com/maps/api/place/autocomplete/json?input=${encodeURIComponent(value)}&types=geocode&language=vi&components=country:VN&key=${GOOGLE_API_KEY}&sessiontoken=${sessiontoken}`;
-        const res = await fetch(`/proxy?url=${encodeURIComponent(googleUrl)}`); // Needs proxy due to CORS
-        const data = await res.json();
-        if (data.predictions) {
-          setSuggestions(data.predictions.map(pred => ({
-            place_id: pred.place_id,
-            display_name: pred.description,
-            isGoogle: true
-          })));
-        } else {
-          setSuggestions([]);
-        }
-      } else {
-        // Using Nominatim for free geocoding, restricted to Vietnam
-        const res = await fetch(`https://nominatim.openstreetmap.org/search?format=json&q=${encodeURIComponent(value)}&addressdetails=1&limit=5&countrycodes=vn`);
-        const data = await res.json();
-        setSuggestions(data);
+    const coordinates = coordinateSuggestion(searchText, getBounds ? getBounds() : null);
+    if (coordinates) {
+      setSuggestions([coordinates]);
+      setLoading(false);
+      return undefined;
+    }
+    const hit = geocoder.cached(searchText);
+    if (hit) {
+      setSuggestions(hit);
+      setLoading(false);
+      return undefined;
+    }
+    // Aborted when the text changes again, so a slow answer can't replace a newer one
+    const controller = new AbortController();
+    const delay = Math.max(DEBOUNCE_MS, lastRequestRef.current + geocoder.minInterval - Date.now());
+    const timer = setTimeout(async () => {
+      lastRequestRef.current = Date.now();
+      setLoading(true);
+      try {
+        const results = await geocoder.search(searchText, { bounds: getBounds ? getBounds() : null, signal: controller.signal });
+        if (controller.signal.aborted) return;
+        setSuggestions(results);
+      } catch (err) {
+        if (controller.signal.aborted || (err instanceof GeocodingError && err.code === GEOCODING_ERRORS.CANCELLED)) return;
+        setSuggestions([]);
+        setError(err instanceof GeocodingError ? err.message : 'Failed to fetch suggestions');
+      } finally {
+        if (!controller.signal.aborted) setLoading(false);
       }
+    }, delay);
+    return () => {
+      clearTimeout(timer);
+      controller.abort();
+    };
+    // getBounds is read when the search fires; a new function each render shouldn't restart it
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [searchText, geocoder]);
+
+  const handleChange = (e) => {
+    setQuery(e.target.value);
+    setSearchText(e.target.value);
+    setOpen(true);
+  };
+
+  const handleSave = async (item) => {
+    try {
+      onSavePlace(await geocoder.resolve(item));
     } catch (err) {
-      setError('Failed to fetch suggestions');
-    } finally {
-      setLoading(false);
+      setError(err instanceof GeocodingError ? err.message : 'Failed to look up this place');
     }
   };
 
   const handleSelect = async (item) => {
-    setQuery(item.display_name);
-    setSuggestions([]);
-    if (onSelect) {
-      if (item.isGoogle) {
-        // Fetch place details for coordinates
-        const GOOGLE_API_KEY = process.env.REACT_APP_GOOGLE_API_KEY;
-        const detailsUrl = `https://maps.googleapis.com/maps/api/place/details/json?placeid=${item.place_id}&key=${GOOGLE_API_KEY}`;
-        const res = await fetch(`/proxy?url=${encodeURIComponent(detailsUrl)}`); // Needs proxy due to CORS
-        const data = await res.json();
-        if (data.result && data.result.geometry && data.result.geometry.location) {
-          onSelect({
-            lat: data.result.geometry.location.lat,
-            lng: data.result.geometry.location.lng,
-            label: item.display_name
-          });
-        }
-      } else {
-        onSelect({ lat: parseFloat(item.lat), lng: parseFloat(item.lon), label: item.display_name });
+    setQuery(item.label);
+    setSearchText('');
+    setOpen(false);
+    if (!onSelect) return;
+    try {
+      const place = await geocoder.resolve(item);
+      onSelect({ lat: place.lat, lng: place.lng, label: place.label, name: place.name, provider: place.provider });
+    } catch (err) {
+      setError(err instanceof GeocodingError ? err.message : 'Failed to look up this place');
+    }
+  };
+
+  // Typed text searches; an empty box offers the quick picks
+  const items = query.trim() ? suggestions : quickPicks;
+  const expanded = open && items.length > 0;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!items.length) return;
+      e.preventDefault();
+      if (!open) {
+        setOpen(true);
+        return;
+      }
+      const count = items.length;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex((idx) => (idx < 0 ? (step > 0 ? 0 : count - 1) : (idx + step + count) % count));
+    } else if (e.key === 'Enter') {
+      if (!expanded) return;
+      e.preventDefault();
+      handleSelect(items[activeIndex >= 0 ? activeIndex : 0]);
+    } else if (e.key === 'Escape') {
+      if (expanded) {
+        e.preventDefault();
+        setOpen(false);
+        setActiveIndex(-1);
       }
     }
   };
@@ -73,27 +152,65 @@ export default function GeocodeInput({ onSelect, placeholder = 'Search for a pla
     <div className="relative">
       <input
         type="text"
+        role="combobox"
+        aria-expanded={expanded}
+        aria-controls={listId}
+        aria-autocomplete="list"
+        aria-activedescendant={expanded && activeIndex >= 0 ? `${listId}-${activeIndex}` : undefined}
         className="w-full p-2 border rounded focus:outline-none focus:ring"
         placeholder={placeholder}
         value={query}
         onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
         autoComplete="off"
       />
       {loading && <div className="absolute right-2 top-2 text-xs text-gray-400">Loading...</div>}
       {error && <div className="text-xs text-red-500 mt-1">{error}</div>}
-      {suggestions.length > 0 && (
-        <ul className="absolute left-0 right-0 bg-white dark:bg-gray-800 border rounded shadow z-10 mt-1 max-h-56 overflow-auto">
-          {suggestions.map((item) => (
-            <li
-              key={item.place_id}
-              className="p-2 hover:bg-blue-100 dark:hover:bg-blue-900 cursor-pointer text-sm text-gray-900 dark:text-gray-100"
-              onClick={() => handleSelect(item)}
-            >
-              {item.display_name}
-            </li>
-          ))}
-        </ul>
-      )}
+      <ul
+        id={listId}
+        role="listbox"
+        aria-label="Suggestions"
+        className={`absolute left-0 right-0 bg-white dark:bg-gray-800 border rounded shadow z-10 mt-1 max-h-56 overflow-auto ${expanded ? '' : 'hidden'}`}
+      >
+        {expanded && items.map((item, idx) => (
+          <li
+            key={item.id}
+            id={`${listId}-${idx}`}
+            role="option"
+            aria-selected={idx === activeIndex}
+            className={`flex items-start gap-2 p-2 cursor-pointer text-sm text-gray-900 dark:text-gray-100 ${idx === activeIndex ? 'bg-blue-100 dark:bg-blue-900' : 'hover:bg-blue-100 dark:hover:bg-blue-900'}`}
+            // Keep focus in the input so its blur doesn't close the list before the click lands
+            onMouseDown={(e) => e.preventDefault()}
+            onMouseEnter={() => setActiveIndex(idx)}
+            onClick={() => handleSelect(item)}
+          >
+            {item.provider === 'saved' && <StarIcon className="w-4 h-4 mt-0.5 shrink-0 text-yellow-500" aria-label="Saved place" />}
+            {item.provider === 'recent' && <ClockIcon className="w-4 h-4 mt-0.5 shrink-0 text-gray-400" aria-label="Recent search" />}
+            <div className="flex-1 min-w-0">
+              <div className="font-medium"><Highlighted text={item.name} query={query} /></div>
+              {item.address && (
+                <div className="text-xs text-gray-500 dark:text-gray-400"><Highlighted text={item.address} query={query} /></div>
+              )}
+            </div>
+            {onSavePlace && item.provider !== 'saved' && item.provider !== 'recent' && (
+              <button
+                type="button"
+                tabIndex={-1}
+                className={`shrink-0 ${isSaved && isSaved(item) ? 'text-yellow-500' : 'text-gray-300 hover:text-yellow-500'}`}
+                onClick={(e) => {
+                  e.stopPropagation();
+                  handleSave(item);
+                }}
+                aria-label={`Save ${item.name}`}
+              >
+                <StarIcon className="w-4 h-4" />
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
     </div>
   );
 }
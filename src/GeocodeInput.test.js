@@ -0,0 +1,136 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import GeocodeInput from './GeocodeInput';
+
+function fakeGeocoder() {
+  return {
+    id: 'fake',
+    label: 'Fake',
+    minInterval: 0,
+    cached: () => null,
+    search: jest.fn().mockResolvedValue([
+      { id: 'a', label: '10 Hang Bac, Hanoi', name: '10 Hang Bac', address: 'Hanoi', lat: 21.034, lng: 105.853, provider: 'fake' },
+    ]),
+    resolve: (item) => Promise.resolve(item),
+  };
+}
+
+const type = (text) => {
+  const input = screen.getByRole('combobox');
+  fireEvent.focus(input);
+  fireEvent.change(input, { target: { value: text } });
+};
+
+test('offers typed coordinates without asking the geocoder', async () => {
+  const geocoder = fakeGeocoder();
+  const onSelect = jest.fn();
+  render(<GeocodeInput geocoder={geocoder} onSelect={onSelect} />);
+  type('21.0285, 105.8542');
+  fireEvent.click(await screen.findByText('Decimal degrees'));
+  await waitFor(() => expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({ lat: 21.0285, lng: 105.8542, provider: 'coordinates' })));
+  expect(geocoder.search).not.toHaveBeenCalled();
+});
+
+test('sends bare numbers to the geocoder', async () => {
+  const geocoder = fakeGeocoder();
+  render(<GeocodeInput geocoder={geocoder} />);
+  type('10 20');
+  expect(await screen.findByText('Hanoi')).toBeInTheDocument();
+  expect(geocoder.search).toHaveBeenCalledWith('10 20', expect.anything());
+});
+
+describe('searching as you type', () => {
+  const place = (id, name) => ({ id, label: `${name}, Hanoi`, name, address: 'Hanoi', lat: 21.03, lng: 105.85, provider: 'fake' });
+
+  // A search whose answer the test hands over when it likes
+  const pending = () => {
+    let resolve;
+    const promise = new Promise((done) => {
+      resolve = done;
+    });
+    return { promise, resolve };
+  };
+
+  // Lets the awaited search and select promises settle
+  const flush = () => act(() => Promise.resolve());
+  const advance = (ms) => act(() => {
+    jest.advanceTimersByTime(ms);
+  });
+
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('waits for a pause in typing and searches once', async () => {
+    const geocoder = fakeGeocoder();
+    render(<GeocodeInput geocoder={geocoder} />);
+    type('h');
+    type('ha');
+    type('han');
+    advance(299);
+    expect(geocoder.search).not.toHaveBeenCalled();
+    advance(1);
+    await flush();
+    expect(geocoder.search).toHaveBeenCalledTimes(1);
+    expect(geocoder.search).toHaveBeenCalledWith('han', expect.anything());
+  });
+
+  test('cancels the previous search when the text changes', async () => {
+    const geocoder = fakeGeocoder();
+    geocoder.search.mockReturnValue(new Promise(() => {}));
+    render(<GeocodeInput geocoder={geocoder} />);
+    type('hang');
+    advance(300);
+    const { signal } = geocoder.search.mock.calls[0][1];
+    expect(signal.aborted).toBe(false);
+    type('hang bac');
+    expect(signal.aborted).toBe(true);
+  });
+
+  test('keeps the newer results when an older search answers late', async () => {
+    const geocoder = fakeGeocoder();
+    const slow = pending();
+    geocoder.search.mockReturnValueOnce(slow.promise).mockResolvedValueOnce([place('b', 'Hang Bac')]);
+    render(<GeocodeInput geocoder={geocoder} />);
+    type('hang');
+    advance(300);
+    type('hang bac');
+    advance(300);
+    await flush();
+    expect(screen.getByText('Bac')).toBeInTheDocument();
+
+    slow.resolve([place('g', 'Hang Gai')]);
+    await flush();
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+    expect(screen.queryByText('Gai')).not.toBeInTheDocument();
+    expect(screen.queryByText('Loading...')).not.toBeInTheDocument();
+  });
+
+  test('shows cached results without searching again', () => {
+    const geocoder = fakeGeocoder();
+    geocoder.cached = (query) => (query === 'hang bac' ? [place('b', 'Hang Bac')] : null);
+    render(<GeocodeInput geocoder={geocoder} />);
+    type('hang bac');
+    expect(screen.getAllByRole('option')).toHaveLength(1);
+    advance(300);
+    expect(geocoder.search).not.toHaveBeenCalled();
+  });
+
+  test('picks the suggestion chosen with the arrow keys', async () => {
+    const geocoder = fakeGeocoder();
+    geocoder.search.mockResolvedValue([place('b', 'Hang Bac'), place('g', 'Hang Gai'), place('m', 'Hang Ma')]);
+    const onSelect = jest.fn();
+    render(<GeocodeInput geocoder={geocoder} onSelect={onSelect} />);
+    type('hang');
+    advance(300);
+    await flush();
+    const input = screen.getByRole('combobox');
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    fireEvent.keyDown(input, { key: 'ArrowDown' });
+    const options = screen.getAllByRole('option');
+    expect(input).toHaveAttribute('aria-activedescendant', options[1].id);
+    expect(options[1]).toHaveAttribute('aria-selected', 'true');
+    fireEvent.keyDown(input, { key: 'Enter' });
+    await flush();
+    expect(onSelect).toHaveBeenCalledWith(expect.objectContaining({ name: 'Hang Gai', label: 'Hang Gai, Hanoi' }));
+    expect(input).toHaveValue('Hang Gai, Hanoi');
+  });
+});
@@ -0,0 +1,44 @@
+import React from 'react';
+import { DEFAULT_FILTER_OPTIONS } from './gpsFilter';
+
+const inputClass = 'w-20 p-1 border rounded text-xs text-gray-900 dark:text-gray-100 dark:bg-gray-700';
+
+export default function GpsFilterSettings({ options, onChange }) {
+  const current = { ...DEFAULT_FILTER_OPTIONS, ...options };
+  const update = (key, value) => onChange({ ...current, [key]: value });
+
+  return (
+    <details className="mb-4 text-sm text-gray-700 dark:text-gray-200">
+      <summary className="cursor-pointer font-semibold">GPS filter settings</summary>
+      <div className="flex flex-col gap-2 mt-2 pl-2">
+        <label className="flex items-center justify-between">
+          Max accuracy (m)
+          <input
+            type="number"
+            min="1"
+            className={inputClass}
+            value={current.maxAccuracy}
+            onChange={(e) => update('maxAccuracy', Number(e.target.value) || DEFAULT_FILTER_OPTIONS.maxAccuracy)}
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          Max speed (km/h)
+          <input
+            type="number"
+            min="1"
+            className={inputClass}
+            value={Math.round(current.maxSpeed * 3.6)}
+            onChange={(e) => update('maxSpeed', (Number(e.target.value) || DEFAULT_FILTER_OPTIONS.maxSpeed * 3.6) / 3.6)}
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          Kalman smoothing
+          <input type="checkbox" checked={current.smoothing} onChange={(e) => update('smoothing', e.target.checked)} />
+        </label>
+        <button className="self-start text-xs text-blue-600 dark:text-blue-300 hover:underline" onClick={() => onChange(DEFAULT_FILTER_OPTIONS)}>
+          Reset to defaults
+        </button>
+      </div>
+    </details>
+  );
+}
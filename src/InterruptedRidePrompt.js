@@ -0,0 +1,31 @@
+import React from 'react';
+import { formatDuration } from './rideStats';
+
+// Offered on launch when a recording was cut short by a reload or crash
+export default function InterruptedRidePrompt({ checkpoint, onResume, onSave, onDiscard }) {
+  if (!checkpoint) return null;
+  const lastPoint = checkpoint.points[checkpoint.points.length - 1];
+  return (
+    <div className="fixed inset-0 z-[1300] flex items-center justify-center bg-black/40">
+      <div className="bg-white dark:bg-gray-900 rounded-xl shadow-2xl px-6 py-5 max-w-sm w-[90%] border border-gray-200 dark:border-gray-700">
+        <div className="font-extrabold text-xl mb-2 text-blue-700 dark:text-blue-300 font-poppins">Unfinished ride found</div>
+        <p className="text-sm text-gray-700 dark:text-gray-300 mb-4">
+          A ride started {new Date(checkpoint.startedAt).toLocaleString()} was interrupted
+          after {formatDuration(checkpoint.movingTime)} of moving time ({checkpoint.points.length} points,
+          last recorded {new Date(lastPoint.time).toLocaleTimeString()}).
+        </p>
+        <div className="flex gap-2">
+          <button className="flex-1 bg-green-600 hover:bg-green-700 text-white px-3 py-2 rounded-lg font-bold text-sm" onClick={onResume}>
+            Resume
+          </button>
+          <button className="flex-1 bg-blue-600 hover:bg-blue-700 text-white px-3 py-2 rounded-lg font-bold text-sm" onClick={onSave}>
+            Save
+          </button>
+          <button className="bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 px-3 py-2 rounded-lg text-sm" onClick={onDiscard}>
+            Discard
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,86 @@
+import React from 'react';
+import { Polygon, CircleMarker, Tooltip } from 'react-leaflet';
+import { ISOCHRONE_PRESETS } from './isochrone';
+
+// Smallest band first
+const BAND_COLORS = ['#16a34a', '#ca8a04', '#dc2626', '#7c3aed'];
+
+// Reachable areas around isochrone.center, drawn largest first so the smaller
+// bands stay on top
+export function IsochroneLayer({ isochrone }) {
+  if (!isochrone) return null;
+  const bands = isochrone.bands.map((band, idx) => ({ ...band, color: BAND_COLORS[idx % BAND_COLORS.length] })).reverse();
+  return (
+    <>
+      {bands.map((band) => (
+        <Polygon
+          key={band.minutes}
+          positions={band.polygons}
+          pathOptions={{ color: band.color, weight: 1, fillColor: band.color, fillOpacity: 0.15 }}
+        >
+          <Tooltip sticky>Within {band.minutes} min</Tooltip>
+        </Polygon>
+      ))}
+      <CircleMarker center={isochrone.center} radius={5} pathOptions={{ color: '#fff', weight: 2, fillColor: '#16a34a', fillOpacity: 1 }} />
+    </>
+  );
+}
+
+// Sidebar controls for the isochrone overlay
+export default function IsochronePanel({ bands, onBandsChange, picking, onTogglePicking, onFromLocation, canUseLocation, isochrone, loading, providerLabel, onClear }) {
+  return (
+    <div className="mb-4 text-sm">
+      <h2 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">How far can I get?</h2>
+      <div className="flex gap-1 mb-2">
+        {ISOCHRONE_PRESETS.map((preset) => {
+          const active = preset.join() === bands.join();
+          return (
+            <button
+              key={preset.join()}
+              className={`flex-1 py-1 rounded text-xs font-semibold ${active ? 'bg-green-600 text-white' : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'}`}
+              onClick={() => onBandsChange(preset)}
+              aria-pressed={active}
+            >
+              {preset.join(' / ')} min
+            </button>
+          );
+        })}
+      </div>
+      <div className="flex gap-2 text-xs">
+        <button
+          className="flex-1 py-1 rounded font-semibold bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200 disabled:opacity-50"
+          onClick={onFromLocation}
+          disabled={!canUseLocation || loading}
+        >
+          From my location
+        </button>
+        <button
+          className={`flex-1 py-1 rounded font-semibold ${picking ? 'bg-green-600 text-white' : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'}`}
+          onClick={onTogglePicking}
+          disabled={loading}
+        >
+          {picking ? 'Click the map…' : 'Pick a point'}
+        </button>
+        {isochrone && (
+          <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200" onClick={onClear}>
+            Clear
+          </button>
+        )}
+      </div>
+      {loading && <p className="text-xs text-gray-500 mt-1">Computing reachable area…</p>}
+      {isochrone && !loading && (
+        <div className="mt-2 flex flex-wrap gap-2 text-xs">
+          {isochrone.bands.map((band, idx) => (
+            <span key={band.minutes} className="flex items-center gap-1">
+              <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: BAND_COLORS[idx % BAND_COLORS.length] }} />
+              {band.minutes} min
+            </span>
+          ))}
+          <span className="w-full text-[10px] text-gray-400">
+            {isochrone.estimated ? 'Rough estimate from typical speed' : `By ${providerLabel}`}
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+import React from 'react';
+
+const WIDTH = 280;
+const HEIGHT = 110;
+const PAD = { top: 8, right: 8, bottom: 18, left: 34 };
+
+/**
+ * Minimal SVG line chart.
+ * Props:
+ *   data: [{ x, y }] sorted by x
+ *   color: stroke colour
+ *   formatX / formatY: axis label formatters
+ *   markerX: optional x value highlighted with a vertical line (e.g. replay position)
+ */
+export default function LineChart({ data, color = '#2563eb', formatX = String, formatY = String, markerX = null }) {
+  if (data.length < 2) {
+    return <div className="text-xs text-gray-400 italic py-4 text-center">Not enough data</div>;
+  }
+  const xs = data.map((d) => d.x);
+  const ys = data.map((d) => d.y);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  let minY = Math.min(...ys);
+  let maxY = Math.max(...ys);
+  if (maxY === minY) {
+    minY -= 1;
+    maxY += 1;
+  }
+  const innerW = WIDTH - PAD.left - PAD.right;
+  const innerH = HEIGHT - PAD.top - PAD.bottom;
+  const sx = (x) => PAD.left + ((x - minX) / (maxX - minX || 1)) * innerW;
+  const sy = (y) => PAD.top + innerH - ((y - minY) / (maxY - minY)) * innerH;
+  const path = data.map((d, i) => `${i === 0 ? 'M' : 'L'}${sx(d.x).toFixed(1)},${sy(d.y).toFixed(1)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-auto text-gray-500 dark:text-gray-400">
+      <line x1={PAD.left} y1={PAD.top + innerH} x2={WIDTH - PAD.right} y2={PAD.top + innerH} stroke="currentColor" strokeWidth="0.5" />
+      <line x1={PAD.left} y1={PAD.top} x2={PAD.left} y2={PAD.top + innerH} stroke="currentColor" strokeWidth="0.5" />
+      <text x={PAD.left - 3} y={PAD.top + 6} textAnchor="end" fontSize="8" fill="currentColor">{formatY(maxY)}</text>
+      <text x={PAD.left - 3} y={PAD.top + innerH} textAnchor="end" fontSize="8" fill="currentColor">{formatY(minY)}</text>
+      <text x={PAD.left} y={HEIGHT - 4} fontSize="8" fill="currentColor">{formatX(minX)}</text>
+      <text x={WIDTH - PAD.right} y={HEIGHT - 4} textAnchor="end" fontSize="8" fill="currentColor">{formatX(maxX)}</text>
+      <path d={path} fill="none" stroke={color} strokeWidth="1.5" strokeLinejoin="round" />
+      {markerX !== null && markerX >= minX && markerX <= maxX && (
+        <line x1={sx(markerX)} y1={PAD.top} x2={sx(markerX)} y2={PAD.top + innerH} stroke="#f59e42" strokeWidth="1" />
+      )}
+    </svg>
+  );
+}
@@ -0,0 +1,39 @@
+import React from 'react';
+import { DEFAULT_NAVIGATION_SETTINGS } from './navigation';
+
+const inputClass = 'w-20 p-1 border rounded text-xs text-gray-900 dark:text-gray-100 dark:bg-gray-700';
+
+export default function NavigationSettings({ settings, onChange, cacheStats = null, onClearCache }) {
+  const current = { ...DEFAULT_NAVIGATION_SETTINGS, ...settings };
+  const update = (key, value) => onChange({ ...current, [key]: value });
+
+  return (
+    <details className="mb-4 text-sm text-gray-700 dark:text-gray-200">
+      <summary className="cursor-pointer font-semibold">Navigation settings</summary>
+      <div className="flex flex-col gap-2 mt-2 pl-2">
+        <label className="flex items-center justify-between">
+          Off-route distance (m)
+          <input
+            type="number"
+            min="10"
+            className={inputClass}
+            value={current.offRouteDistance}
+            onChange={(e) => update('offRouteDistance', Number(e.target.value) || DEFAULT_NAVIGATION_SETTINGS.offRouteDistance)}
+          />
+        </label>
+        <label className="flex items-center justify-between">
+          Reroute automatically
+          <input type="checkbox" checked={current.autoReroute} onChange={(e) => update('autoReroute', e.target.checked)} />
+        </label>
+        {cacheStats && (
+          <div className="flex items-center justify-between text-xs text-gray-500 dark:text-gray-400">
+            <span title={`${Math.round(cacheStats.bytes / 1024)} KB stored`}>
+              Route cache: {cacheStats.entries} routes · {cacheStats.hits} hits / {cacheStats.misses} misses
+            </span>
+            <button className="text-blue-600 dark:text-blue-300 hover:underline" onClick={onClearCache}>Clear</button>
+          </div>
+        )}
+      </div>
+    </details>
+  );
+}
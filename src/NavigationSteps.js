@@ -0,0 +1,34 @@
+import React, { useEffect, useRef } from 'react';
+
+export function formatStepDistance(meters) {
+  return meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${Math.round(meters / 10) * 10} m`;
+}
+
+// Sidebar list of turn-by-turn instructions; the step being ridden is highlighted
+// and kept in view
+export default function NavigationSteps({ steps, currentIndex = null }) {
+  const currentRef = useRef(null);
+
+  useEffect(() => {
+    if (currentRef.current) currentRef.current.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+  }, [currentIndex]);
+
+  if (!steps.length) return null;
+  return (
+    <details className="mt-2" open={currentIndex !== null || undefined}>
+      <summary className="cursor-pointer text-sm font-semibold text-gray-700 dark:text-gray-300">Turn-by-turn ({steps.length} steps)</summary>
+      <ol className="mt-1 max-h-48 overflow-y-auto text-xs divide-y divide-gray-200 dark:divide-gray-700">
+        {steps.map((step, idx) => (
+          <li
+            key={idx}
+            ref={idx === currentIndex ? currentRef : null}
+            className={`flex justify-between gap-2 py-1 px-1 ${idx === currentIndex ? 'bg-blue-100 dark:bg-blue-900/50 font-bold' : ''}`}
+          >
+            <span>{step.instruction}</span>
+            {step.distance > 0 && <span className="shrink-0 text-gray-500">{formatStepDistance(step.distance)}</span>}
+          </li>
+        ))}
+      </ol>
+    </details>
+  );
+}
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import LineChart from './LineChart';
+import { ridePoints, computeRideStats, speedSeries, elevationSeries, cumulativeDistances, formatDuration } from './rideStats';
+import { rideTitle } from './rideStore';
+import { rideRouteLabel } from './rideAddresses';
+
+const REPLAY_SPEEDS = [1, 10, 30, 60];
+const REPLAY_TICK = 200; // ms
+
+// Distance travelled (m) at an epoch-ms time, for the elevation chart marker
+function distanceAtTime(points, distances, time) {
+  for (let i = 1; i < points.length; i++) {
+    if (time <= points[i].time) {
+      const span = points[i].time - points[i - 1].time;
+      const ratio = span > 0 ? Math.max(0, (time - points[i - 1].time) / span) : 1;
+      return distances[i - 1] + (distances[i] - distances[i - 1]) * ratio;
+    }
+  }
+  return distances[distances.length - 1];
+}
+
+export default function RideDetail({ ride, replayTime, onReplayTimeChange, onEditTrack, onClose }) {
+  const points = useMemo(() => ridePoints(ride), [ride]);
+  const stats = useMemo(() => computeRideStats(ride), [ride]);
+  const speeds = useMemo(() => speedSeries(points), [points]);
+  const elevations = useMemo(() => elevationSeries(points), [points]);
+  const distances = useMemo(() => cumulativeDistances(points), [points]);
+  const [playing, setPlaying] = useState(false);
+  const [replaySpeed, setReplaySpeed] = useState(REPLAY_SPEEDS[1]);
+
+  const startTime = points.length ? points[0].time : 0;
+  const endTime = points.length ? points[points.length - 1].time : 0;
+
+  useEffect(() => {
+    setPlaying(false);
+  }, [ride]);
+
+  useEffect(() => {
+    if (!playing) return;
+    const id = setInterval(() => {
+      onReplayTimeChange((prev) => Math.min((prev === null ? startTime : prev) + REPLAY_TICK * replaySpeed, endTime));
+    }, REPLAY_TICK);
+    return () => clearInterval(id);
+  }, [playing, replaySpeed, startTime, endTime, onReplayTimeChange]);
+
+  useEffect(() => {
+    if (replayTime !== null && replayTime >= endTime) setPlaying(false);
+  }, [replayTime, endTime]);
+
+  const togglePlay = () => {
+    if (!playing && (replayTime === null || replayTime >= endTime)) onReplayTimeChange(startTime);
+    setPlaying((p) => !p);
+  };
+
+  const elapsed = replayTime === null ? 0 : (replayTime - startTime) / 1000;
+  const avgSpeed = ride.distance / (stats.movingTime || ride.duration || 1);
+
+  return (
+    <div className="fixed top-20 right-4 z-[1000] w-80 max-h-[80vh] overflow-y-auto bg-white/95 dark:bg-gray-900/95 rounded-xl shadow-2xl p-4 backdrop-blur-md border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200">
+      <button
+        className="absolute top-3 right-3 bg-gray-200 dark:bg-gray-700 p-1 rounded-full"
+        onClick={onClose}
+        aria-label="Close ride details"
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 20" className="w-4 h-4" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l8 8M6 14L14 6" />
+        </svg>
+      </button>
+      <div className="font-extrabold text-lg text-blue-700 dark:text-blue-300 font-poppins pr-8">{rideTitle(ride)}</div>
+      {ride.title && <div className="text-xs text-gray-500">{new Date(ride.date).toLocaleString()}</div>}
+      {rideRouteLabel(ride) && <div className="text-sm text-gray-600 dark:text-gray-300">{rideRouteLabel(ride)}</div>}
+      {ride.notes && <div className="text-sm mt-1 whitespace-pre-line">{ride.notes}</div>}
+      <div className="grid grid-cols-3 gap-2 my-3 text-center">
+        <div><div className="text-xs text-gray-500">Distance</div><div className="font-bold">{(ride.distance / 1000).toFixed(2)} km</div></div>
+        <div><div className="text-xs text-gray-500">Moving</div><div className="font-bold">{formatDuration(stats.movingTime)}</div></div>
+        <div><div className="text-xs text-gray-500">Elapsed</div><div className="font-bold">{formatDuration(ride.duration)}</div></div>
+        <div><div className="text-xs text-gray-500">Avg</div><div className="font-bold">{(avgSpeed * 3.6).toFixed(1)} km/h</div></div>
+        <div><div className="text-xs text-gray-500">Max</div><div className="font-bold">{(stats.maxSpeed * 3.6).toFixed(1)} km/h</div></div>
+        <div><div className="text-xs text-gray-500">Climb</div><div className="font-bold">{Math.round(stats.elevationGain)} m</div></div>
+      </div>
+
+      {/* Replay controls */}
+      <div className="flex items-center gap-2 mb-1">
+        <button className="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1 rounded text-sm font-bold" onClick={togglePlay}>
+          {playing ? 'Pause' : 'Replay'}
+        </button>
+        <select
+          className="p-1 border rounded text-xs dark:bg-gray-700"
+          value={replaySpeed}
+          onChange={(e) => setReplaySpeed(Number(e.target.value))}
+        >
+          {REPLAY_SPEEDS.map((s) => <option key={s} value={s}>{s}x</option>)}
+        </select>
+        <button className="bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 px-2 py-1 rounded text-xs" onClick={onEditTrack}>
+          Trim / split
+        </button>
+        <span className="text-xs ml-auto">{formatDuration(elapsed)} / {formatDuration((endTime - startTime) / 1000)}</span>
+      </div>
+      <input
+        type="range"
+        className="w-full mb-3"
+        min={startTime}
+        max={endTime}
+        value={replayTime === null ? startTime : replayTime}
+        onChange={(e) => onReplayTimeChange(Number(e.target.value))}
+      />
+
+      <div className="text-sm font-semibold mb-1">Speed</div>
+      <LineChart
+        data={speeds.map((d) => ({ x: d.x, y: d.y * 3.6 }))}
+        color="#16a34a"
+        formatX={(x) => formatDuration(x)}
+        formatY={(y) => `${y.toFixed(0)} km/h`}
+        markerX={replayTime === null ? null : elapsed}
+      />
+      <div className="text-sm font-semibold mt-3 mb-1">Elevation</div>
+      {elevations.length > 1 ? (
+        <LineChart
+          data={elevations}
+          color="#9333ea"
+          formatX={(x) => `${(x / 1000).toFixed(1)} km`}
+          formatY={(y) => `${Math.round(y)} m`}
+          markerX={replayTime === null ? null : distanceAtTime(points, distances, replayTime)}
+        />
+      ) : (
+        <div className="text-xs text-gray-400 italic py-2 text-center">No elevation data for this ride</div>
+      )}
+
+      <div className="text-sm font-semibold mt-3 mb-1">Splits</div>
+      {stats.splits.length === 0 ? (
+        <div className="text-xs text-gray-400 italic text-center">No splits</div>
+      ) : (
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-gray-500"><th className="text-left">Km</th><th className="text-right">Time</th><th className="text-right">Pace</th><th className="text-right">Speed</th></tr>
+          </thead>
+          <tbody>
+            {stats.splits.map((split) => (
+              <tr key={split.km}>
+                <td>{split.distance < 1000 ? (split.distance / 1000).toFixed(2) : split.km}</td>
+                <td className="text-right">{formatDuration(split.duration)}</td>
+                <td className="text-right">{formatDuration(split.pace)} /km</td>
+                <td className="text-right">{((split.distance / (split.duration || 1)) * 3.6).toFixed(1)} km/h</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
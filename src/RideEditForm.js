@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { SPORT_TYPES, parseTags } from './rideStore';
+
+// Inline form for a ride's title, sport type, tags and notes
+export default function RideEditForm({ ride, onSave, onCancel }) {
+  const [title, setTitle] = useState(ride.title || '');
+  const [sport, setSport] = useState(ride.sport || 'bike');
+  const [tags, setTags] = useState((ride.tags || []).join(', '));
+  const [notes, setNotes] = useState(ride.notes || '');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave({ ...ride, title: title.trim(), sport, tags: parseTags(tags), notes: notes.trim() });
+  };
+
+  return (
+    <form className="flex flex-col gap-2 text-sm" onSubmit={handleSubmit} onClick={(e) => e.stopPropagation()}>
+      <input
+        className="p-1 border rounded dark:bg-gray-700 dark:text-white"
+        placeholder="Title"
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+        autoFocus
+      />
+      <select className="p-1 border rounded dark:bg-gray-700 dark:text-white" value={sport} onChange={(e) => setSport(e.target.value)}>
+        {Object.entries(SPORT_TYPES).map(([key, label]) => (
+          <option key={key} value={key}>{label}</option>
+        ))}
+      </select>
+      <input
+        className="p-1 border rounded dark:bg-gray-700 dark:text-white"
+        placeholder="Tags, comma separated"
+        value={tags}
+        onChange={(e) => setTags(e.target.value)}
+      />
+      <textarea
+        className="p-1 border rounded dark:bg-gray-700 dark:text-white"
+        placeholder="Notes"
+        rows={3}
+        value={notes}
+        onChange={(e) => setNotes(e.target.value)}
+      />
+      <div className="flex gap-2">
+        <button type="submit" className="flex-1 bg-blue-600 hover:bg-blue-700 text-white py-1 rounded font-semibold">Save</button>
+        <button type="button" className="flex-1 bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 py-1 rounded" onClick={onCancel}>Cancel</button>
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,223 @@
+import React, { useState, useMemo } from 'react';
+import { PencilIcon } from '@heroicons/react/solid';
+import { EXPORT_FORMATS, exportRides } from './rideExport';
+import { loadRides, rideTitle } from './rideStore';
+import { rideRouteLabel } from './rideAddresses';
+import RideEditForm from './RideEditForm';
+import { computeRideStats, formatDuration } from './rideStats';
+
+// onExport(format) may be async, e.g. to load every stored ride first
+function ExportButtons({ onExport, className = '' }) {
+  return (
+    <div className={`flex gap-1 ${className}`}>
+      {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+        <button
+          key={format}
+          className="px-2 py-0.5 rounded bg-gray-200 hover:bg-blue-500 hover:text-white dark:bg-gray-700 dark:text-gray-200 text-xs font-semibold"
+          title={`Export as ${label}`}
+          onClick={(e) => {
+            e.stopPropagation();
+            onExport(format);
+          }}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Moving time, max speed and climb, only shown for rides recorded with per-point details
+function RideStatsLine({ ride }) {
+  const stats = useMemo(() => (ride.points ? computeRideStats(ride) : null), [ride]);
+  if (!stats) return null;
+  return (
+    <div className="text-xs text-gray-600 dark:text-gray-400">
+      Moving {formatDuration(stats.movingTime)} · Max {(stats.maxSpeed * 3.6).toFixed(1)} km/h · ↑{Math.round(stats.elevationGain)} m
+    </div>
+  );
+}
+
+const exportAllRides = (format) => {
+  loadRides()
+    .then(({ rides }) => exportRides(rides, format))
+    .catch((err) => console.error('Error exporting rides:', err));
+};
+
+export default function RideHistory({ rides, hasMore, onLoadMore, onDelete, onUpdate, onMerge, selectedRide, onSelect }) {
+  const [editingId, setEditingId] = useState(null);
+  const [selecting, setSelecting] = useState(false);
+  const [checkedIds, setCheckedIds] = useState(() => new Set());
+  const [mergeError, setMergeError] = useState(null);
+
+  const stopSelecting = () => {
+    setSelecting(false);
+    setCheckedIds(new Set());
+    setMergeError(null);
+  };
+
+  const toggleChecked = (id) => {
+    setMergeError(null);
+    setCheckedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  };
+
+  const deleteChecked = () => {
+    onDelete(rides.filter((ride) => checkedIds.has(ride.id)));
+    stopSelecting();
+  };
+
+  // onMerge throws when the rides can't be joined; keep the selection so it can be fixed
+  const mergeChecked = () => {
+    try {
+      onMerge(rides.filter((ride) => checkedIds.has(ride.id)));
+      stopSelecting();
+    } catch (err) {
+      setMergeError(err.message);
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="font-extrabold text-lg text-blue-700 dark:text-blue-300 font-poppins tracking-wide drop-shadow">Ride History</h2>
+        {rides.length > 0 && (
+          <div className="flex items-center gap-1">
+            <span className="text-xs text-gray-500 dark:text-gray-400">Export all</span>
+            <ExportButtons onExport={exportAllRides} />
+          </div>
+        )}
+      </div>
+      {rides.length > 0 && (
+        <div className="flex items-center gap-2 mb-2 text-xs">
+          {selecting ? (
+            <>
+              <button
+                className="px-2 py-0.5 rounded bg-gray-200 dark:bg-gray-700 dark:text-gray-200"
+                onClick={() => setCheckedIds(checkedIds.size === rides.length ? new Set() : new Set(rides.map((r) => r.id)))}
+              >
+                {checkedIds.size === rides.length ? 'Select none' : 'Select all'}
+              </button>
+              <button
+                className="px-2 py-0.5 rounded bg-red-600 hover:bg-red-700 text-white font-semibold disabled:opacity-50"
+                disabled={checkedIds.size === 0}
+                onClick={deleteChecked}
+              >
+                Delete {checkedIds.size}
+              </button>
+              <button
+                className="px-2 py-0.5 rounded bg-blue-600 hover:bg-blue-700 text-white font-semibold disabled:opacity-50"
+                disabled={checkedIds.size < 2}
+                onClick={mergeChecked}
+                title="Join the selected rides into one, in time order"
+              >
+                Merge
+              </button>
+              <button className="ml-auto text-blue-600 dark:text-blue-300 hover:underline" onClick={stopSelecting}>Done</button>
+            </>
+          ) : (
+            <button className="ml-auto text-blue-600 dark:text-blue-300 hover:underline" onClick={() => setSelecting(true)}>Select</button>
+          )}
+        </div>
+      )}
+      {mergeError && <div className="text-xs text-red-500 mb-2">{mergeError}</div>}
+      <div className="max-h-52 overflow-y-auto divide-y divide-gray-200 dark:divide-gray-700 bg-white/80 dark:bg-gray-900/90 rounded-xl border border-gray-200 dark:border-gray-700 shadow-inner p-2">
+        {rides.length === 0 && <div className="text-gray-400 italic font-medium text-center py-4">No rides yet.</div>}
+        {rides.map((ride) => (
+          <div
+            key={ride.id}
+            className={`py-3 px-2 flex flex-col gap-1 relative group cursor-pointer rounded-lg ${ride === selectedRide ? 'bg-blue-100 dark:bg-blue-900/50' : ''}`}
+            onClick={() => {
+              if (editingId === ride.id) return;
+              if (selecting) toggleChecked(ride.id);
+              else onSelect(ride === selectedRide ? null : ride);
+            }}
+          >
+            {editingId === ride.id ? (
+              <RideEditForm
+                ride={ride}
+                onSave={(updated) => {
+                  onUpdate(updated);
+                  setEditingId(null);
+                }}
+                onCancel={() => setEditingId(null)}
+              />
+            ) : (
+              <>
+                {!selecting && (
+                  <div className="absolute top-2 right-2 flex gap-1 opacity-60 group-hover:opacity-100 transition-opacity z-10">
+                    <button
+                      className="text-gray-400 hover:text-blue-600 dark:hover:text-blue-400 dark:text-gray-600"
+                      title="Edit ride"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEditingId(ride.id);
+                      }}
+                      aria-label="Edit ride"
+                    >
+                      <PencilIcon className="w-5 h-5" />
+                    </button>
+                    <button
+                      className="text-gray-400 hover:text-red-600 dark:hover:text-red-400 dark:text-gray-600"
+                      title="Delete ride"
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        onDelete([ride]);
+                      }}
+                      aria-label="Delete ride"
+                    >
+                      <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 20 20" className="w-5 h-5" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 6l8 8M6 14L14 6" />
+                      </svg>
+                    </button>
+                  </div>
+                )}
+                <div className="flex items-center gap-2 pr-12">
+                  {selecting && (
+                    <input
+                      type="checkbox"
+                      checked={checkedIds.has(ride.id)}
+                      onChange={() => toggleChecked(ride.id)}
+                      onClick={(e) => e.stopPropagation()}
+                      aria-label={`Select ${rideTitle(ride)}`}
+                    />
+                  )}
+                  <div className="font-bold text-base text-blue-800 dark:text-blue-200 font-poppins">{rideTitle(ride)}</div>
+                </div>
+                {ride.title && <div className="text-xs text-gray-500 dark:text-gray-400">{new Date(ride.date).toLocaleString()}</div>}
+                {rideRouteLabel(ride) && (
+                  <div className="text-xs text-gray-600 dark:text-gray-300 truncate" title={rideRouteLabel(ride, false)}>{rideRouteLabel(ride)}</div>
+                )}
+                <div className="text-[15px] text-gray-800 dark:text-gray-200 font-medium">
+                  Distance: <span className="font-semibold">{(ride.distance / 1000).toFixed(2)} km</span>
+                </div>
+                <div className="text-[15px] text-gray-800 dark:text-gray-200 font-medium">
+                  Duration: <span className="font-semibold">{Math.floor(ride.duration / 60)}:{(ride.duration % 60).toString().padStart(2, '0')}</span>
+                </div>
+                <RideStatsLine ride={ride} />
+                {ride.tags && ride.tags.length > 0 && (
+                  <div className="flex flex-wrap gap-1">
+                    {ride.tags.map((tag) => (
+                      <span key={tag} className="px-1.5 py-0.5 rounded-full bg-blue-100 text-blue-700 dark:bg-blue-900 dark:text-blue-200 text-xs">#{tag}</span>
+                    ))}
+                  </div>
+                )}
+                {ride.notes && <div className="text-xs text-gray-600 dark:text-gray-400 italic line-clamp-2">{ride.notes}</div>}
+                <ExportButtons onExport={(format) => exportRides([ride], format)} className="mt-1" />
+              </>
+            )}
+          </div>
+        ))}
+        {hasMore && (
+          <button className="w-full py-2 text-sm text-blue-600 dark:text-blue-300 hover:underline" onClick={onLoadMore}>
+            Load more rides
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
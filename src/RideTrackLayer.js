@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Polyline, Popup, Marker, CircleMarker, useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { haversineDistance } from './geo';
+import { ridePoints, positionAtTime } from './rideStats';
+import createBikeIcon from './bikeIcon';
+
+const replayIcon = createBikeIcon(true);
+
+function nearestPointIndex(points, lat, lng) {
+  let best = 0;
+  let bestDistance = Infinity;
+  points.forEach((p, i) => {
+    const d = haversineDistance(p.lat, p.lng, lat, lng);
+    if (d < bestDistance) {
+      bestDistance = d;
+      best = i;
+    }
+  });
+  return best;
+}
+
+function PointDetails({ point, index, count }) {
+  const rows = [
+    ['Time', new Date(point.time).toLocaleTimeString()],
+    ['Speed', point.speed !== null ? `${(point.speed * 3.6).toFixed(1)} km/h` : null],
+    ['Altitude', point.altitude !== null ? `${Math.round(point.altitude)} m` : null],
+    ['Accuracy', point.accuracy !== null ? `±${Math.round(point.accuracy)} m` : null],
+    ['Heading', point.heading !== null ? `${Math.round(point.heading)}°` : null],
+  ].filter(([, value]) => value !== null);
+  return (
+    <div className="text-xs">
+      <div className="font-bold mb-1">Point {index + 1} of {count}</div>
+      {rows.map(([label, value]) => (
+        <div key={label}>{label}: <span className="font-semibold">{value}</span></div>
+      ))}
+    </div>
+  );
+}
+
+// Draws a saved ride, shows the nearest track point's details on click and
+// a moving marker at replayTime (epoch ms) while the ride is replayed.
+// While editing, `range` ({ start, end, split }) greys out the trimmed parts
+// and marks the split point.
+export default function RideTrackLayer({ ride, replayTime = null, range = null }) {
+  const map = useMap();
+  const [selected, setSelected] = useState(null);
+  const points = useMemo(() => (ride ? ridePoints(ride) : []), [ride]);
+  const selectedPosition = useMemo(
+    () => (selected !== null && points[selected] ? [points[selected].lat, points[selected].lng] : null),
+    [points, selected]
+  );
+
+  const replayPosition = replayTime !== null ? positionAtTime(points, replayTime) : null;
+
+  useEffect(() => {
+    setSelected(null);
+    if (ride && ride.positions.length > 1) {
+      map.fitBounds(L.latLngBounds(ride.positions), { padding: [40, 40] });
+    }
+  }, [map, ride]);
+
+  if (!ride || ride.positions.length < 2) return null;
+  return (
+    <>
+      {range && (
+        <Polyline positions={ride.positions} pathOptions={{ color: 'gray', weight: 4, dashArray: '4 6', opacity: 0.7 }} interactive={false} />
+      )}
+      <Polyline
+        positions={range ? ride.positions.slice(range.start, range.end + 1) : ride.positions}
+        pathOptions={{ color: 'orange', weight: 5 }}
+        eventHandlers={{
+          click: (e) => {
+            L.DomEvent.stopPropagation(e);
+            setSelected(nearestPointIndex(points, e.latlng.lat, e.latlng.lng));
+          },
+        }}
+      />
+      {replayPosition && <Marker position={replayPosition} icon={replayIcon} />}
+      {range && range.split !== null && ride.positions[range.split] && (
+        <CircleMarker center={ride.positions[range.split]} radius={7} pathOptions={{ color: '#dc2626', fillColor: '#fff', fillOpacity: 1, weight: 3 }} />
+      )}
+      {selectedPosition && (
+        <Popup position={selectedPosition} eventHandlers={{ remove: () => setSelected(null) }}>
+          <PointDetails point={points[selected]} index={selected} count={points.length} />
+        </Popup>
+      )}
+    </>
+  );
+}
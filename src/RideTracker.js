@@ -1,26 +1,11 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { Polyline, Marker, Popup } from 'react-leaflet';
-import L from 'leaflet';
-
-/**
- * RideTracker component
- * Tracks live GPS positions, calculates stats, and draws the route.
- * Props:
- *   onRideUpdate: function({ positions, distance, duration, speed })
- *   tracking: boolean (start/stop tracking)
- */
-function haversineDistance(lat1, lon1, lat2, lon2) {
-  const toRad = (x) => (x * Math.PI) / 180;
-  const R = 6371e3; // metres
-  const dLat = toRad(lat2 - lat1);
-  const dLon = toRad(lon2 - lon1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-}
+import { haversineDistance, pathDistance } from './geo';
+import { createGpsFilter, REJECT_REASONS } from './gpsFilter';
+import { toTrackPoint, formatDuration } from './rideStats';
+import { startCheckpoint, appendCheckpoint } from './rideRecovery';
+import createBikeIcon from './bikeIcon';
+import { formatStepDistance } from './NavigationSteps';
 
 // Hoan Kiem Lake loop (real road route from OSRM)
 const SAMPLE_ROUTE = [
@@ -49,113 +34,217 @@ const SAMPLE_ROUTE = [
   [21.028936, 105.855309], // Loop back
 ];
 
-const RideTracker = ({ tracking, onRideUpdate, demoMode, directionRoute = [], onFinishRide = () => {} }) => {
-  const [positions, setPositions] = useState([]);
+// Moving slower than this (m/s) for AUTO_PAUSE_DELAY ms auto-pauses the ride
+const AUTO_PAUSE_SPEED = 1;
+const AUTO_PAUSE_DELAY = 5000;
+
+/**
+ * RideTracker component
+ * Tracks live GPS positions, calculates stats, and draws the route.
+ * Props:
+ *   onRideUpdate: function({ positions, points, distance, duration, movingTime, speed })
+ *   tracking: boolean (start/stop tracking)
+ *   paused: boolean (manual pause; no points are recorded and moving time stops)
+ *   autoPause: boolean (pause moving time automatically while stopped)
+ *   demoRoute: optional [lat, lng][] replayed in demo mode instead of directionRoute
+ *   filterOptions: overrides for the GPS filter (see DEFAULT_FILTER_OPTIONS in gpsFilter.js)
+ *   resumeFrom: checkpoint from rideRecovery.js to continue instead of starting a new ride
+ *   nextTurn: optional { instruction, distance } for the upcoming maneuver while navigating
+ *   offRoute: optional { distance, rerouting } when the rider has left the route
+ */
+const RideTracker = ({ tracking, paused = false, autoPause = true, onRideUpdate, demoMode, directionRoute = [], demoRoute = null, filterOptions, resumeFrom = null, nextTurn = null, offRoute = null, onFinishRide = () => {} }) => {
+  const [points, setPoints] = useState([]);
   const [distance, setDistance] = useState(0);
   const [duration, setDuration] = useState(0);
+  const [movingTime, setMovingTime] = useState(0);
+  const [autoPaused, setAutoPaused] = useState(false);
   const [speed, setSpeed] = useState(0);
   const timerRef = useRef(null);
   const startTimeRef = useRef(null);
   const demoIndexRef = useRef(0);
   const demoTimerRef = useRef(null);
+  const [rejected, setRejected] = useState({ accuracy: 0, speed: 0 });
+  const [gpsError, setGpsError] = useState(null);
+  // Read at the start of each recording so changing settings doesn't restart a ride
+  const filterOptionsRef = useRef(filterOptions);
+  filterOptionsRef.current = filterOptions;
+  const filterRef = useRef(null);
+  const lastFixRef = useRef(null);
+  const pausedRef = useRef(paused);
+  pausedRef.current = paused;
+  const autoPauseRef = useRef(autoPause);
+  autoPauseRef.current = autoPause;
+  const lastTickRef = useRef(null);
+  const lastMovingAtRef = useRef(null);
+  const movingMsRef = useRef(0);
+  const resumeFromRef = useRef(resumeFrom);
+  resumeFromRef.current = resumeFrom;
+  // Number of points handed to the crash-recovery checkpoint, null when not checkpointing.
+  // rideRecovery keeps any whose write failed and sends them with the next append
+  const checkpointedRef = useRef(null);
+
+  // Route replayed in demo mode: an imported track, then directions, then the sample loop
+  // (read when a recording starts, so rerouting mid-ride doesn't restart it)
+  const replayRouteRef = useRef(null);
+  const replayingRef = useRef(null);
+  replayRouteRef.current = demoRoute && demoRoute.length > 1
+    ? demoRoute
+    : directionRoute && directionRoute.length > 1 ? directionRoute : null;
+
+  const positions = useMemo(() => points.map((p) => [p.lat, p.lng]), [points]);
+
+  // Resets the per-recording counters shared by demo and GPS tracking
+  const resetRecording = (resume = null) => {
+    const now = Date.now();
+    setDistance(0);
+    setDuration(0);
+    setMovingTime(resume ? resume.movingTime : 0);
+    setSpeed(0);
+    setAutoPaused(false);
+    startTimeRef.current = resume ? resume.startedAt : now;
+    lastTickRef.current = now;
+    lastMovingAtRef.current = now;
+    movingMsRef.current = resume ? resume.movingTime * 1000 : 0;
+    checkpointedRef.current = null;
+  };
 
   useEffect(() => {
     if (tracking && demoMode) {
-      // Use the provided route (directions) if available, else fallback to SAMPLE_ROUTE
-      const demoRoute = directionRoute && directionRoute.length > 1 ? directionRoute : SAMPLE_ROUTE;
-      setPositions([demoRoute[0]]);
-      setDuration(0);
-      setDistance(0);
-      setSpeed(0);
-      startTimeRef.current = Date.now();
+      replayingRef.current = replayRouteRef.current;
+      const demoRoute = replayRouteRef.current || SAMPLE_ROUTE;
+      const demoPoint = ([lat, lng]) => ({ lat, lng, time: Date.now(), accuracy: null, altitude: null, speed: null, heading: null });
+      setPoints([demoPoint(demoRoute[0])]);
+      resetRecording();
       demoIndexRef.current = 1;
       demoTimerRef.current = setInterval(() => {
-        setDuration(Math.floor((Date.now() - startTimeRef.current) / 1000));
-        setPositions((prev) => {
-          if (demoIndexRef.current < demoRoute.length) {
-            const next = demoRoute[demoIndexRef.current];
-            demoIndexRef.current += 1;
-            return [...prev, next];
-          } else {
-            clearInterval(demoTimerRef.current);
-            return prev;
-          }
-        });
+        if (pausedRef.current) return;
+        if (demoIndexRef.current < demoRoute.length) {
+          const next = demoPoint(demoRoute[demoIndexRef.current]);
+          demoIndexRef.current += 1;
+          lastMovingAtRef.current = Date.now();
+          setPoints((prev) => [...prev, next]);
+        } else {
+          clearInterval(demoTimerRef.current);
+        }
       }, 2200); // Slower animation (2.2s per segment)
       return () => {
         clearInterval(demoTimerRef.current);
       };
     }
     if (tracking && !demoMode) {
-      setPositions([]);
-      setDistance(0);
-      setDuration(0);
-      setSpeed(0);
-      startTimeRef.current = Date.now();
+      const resume = resumeFromRef.current;
+      setPoints(resume ? resume.points : []);
+      setRejected(resume && resume.rejected ? resume.rejected : { accuracy: 0, speed: 0 });
+      setGpsError(null);
+      resetRecording(resume);
+      if (resume) {
+        checkpointedRef.current = resume.points.length;
+      } else {
+        startCheckpoint({ startedAt: startTimeRef.current, movingTime: 0 });
+        checkpointedRef.current = 0;
+      }
       // Real GPS tracking
       if (navigator.geolocation) {
+        filterRef.current = createGpsFilter(filterOptionsRef.current);
+        lastFixRef.current = null;
         const watchId = navigator.geolocation.watchPosition(
           (pos) => {
-            setPositions((prev) => {
-              const newPos = [pos.coords.latitude, pos.coords.longitude];
-              if (prev.length === 0) return [newPos];
-              const last = prev[prev.length - 1];
-              if (haversineDistance(last[0], last[1], newPos[0], newPos[1]) > 5) {
-                return [...prev, newPos];
-              }
-              return prev;
-            });
+            setGpsError(null);
+            if (pausedRef.current) return;
+            const point = toTrackPoint(pos);
+            const lastFix = lastFixRef.current;
+            lastFixRef.current = point;
+            // Prefer the receiver's speed; fall back to the distance from the previous raw fix
+            const dt = lastFix ? (point.time - lastFix.time) / 1000 : 0;
+            const currentSpeed = point.speed !== null
+              ? point.speed
+              : dt > 0 ? haversineDistance(lastFix.lat, lastFix.lng, point.lat, point.lng) / dt : 0;
+            if (currentSpeed >= AUTO_PAUSE_SPEED) lastMovingAtRef.current = Date.now();
+            const result = filterRef.current.process(point);
+            if (result.point) {
+              setPoints((prev) => [...prev, result.point]);
+            } else if (result.rejected !== 'stationary') {
+              setRejected((prev) => ({ ...prev, [result.rejected]: prev[result.rejected] + 1 }));
+            }
+          },
+          (err) => {
+            setGpsError(
+              err.code === err.PERMISSION_DENIED
+                ? 'Location permission denied.'
+                : err.code === err.TIMEOUT
+                  ? 'Waiting for GPS signal...'
+                  : 'GPS position unavailable.'
+            );
           },
-          (err) => {},
           { enableHighAccuracy: true, maximumAge: 1000, timeout: 10000 }
         );
-        timerRef.current = setInterval(() => {
-          setDuration(Math.floor((Date.now() - startTimeRef.current) / 1000));
-        }, 1000);
         return () => {
           navigator.geolocation.clearWatch(watchId);
-          clearInterval(timerRef.current);
         };
       }
+      setGpsError('Geolocation is not supported by your browser');
     }
     if (!tracking) {
-      clearInterval(timerRef.current);
       clearInterval(demoTimerRef.current);
     }
-  }, [tracking, demoMode, directionRoute]);
+    // resetRecording only touches refs and state setters
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [tracking, demoMode]);
+
+  // Elapsed and moving time clock; moving time stops while paused or auto-paused
+  useEffect(() => {
+    if (!tracking) return;
+    timerRef.current = setInterval(() => {
+      const now = Date.now();
+      const isAutoPaused = autoPauseRef.current && !pausedRef.current && now - lastMovingAtRef.current > AUTO_PAUSE_DELAY;
+      if (!pausedRef.current && !isAutoPaused) {
+        movingMsRef.current += now - lastTickRef.current;
+      }
+      lastTickRef.current = now;
+      setAutoPaused(isAutoPaused);
+      setDuration(Math.floor((now - startTimeRef.current) / 1000));
+      setMovingTime(Math.floor(movingMsRef.current / 1000));
+    }, 1000);
+    return () => clearInterval(timerRef.current);
+  }, [tracking]);
+
+  // Resuming starts a fresh filter so the gap isn't rejected as a speed outlier
+  useEffect(() => {
+    if (!paused) {
+      lastMovingAtRef.current = Date.now();
+      lastFixRef.current = null;
+      if (filterRef.current) filterRef.current = createGpsFilter(filterOptionsRef.current);
+    }
+  }, [paused]);
+
+  // Append newly recorded points to the crash-recovery checkpoint
+  useEffect(() => {
+    if (!tracking || checkpointedRef.current === null || points.length <= checkpointedRef.current) return;
+    appendCheckpoint(points.slice(checkpointedRef.current), {
+      startedAt: startTimeRef.current,
+      movingTime: Math.floor(movingMsRef.current / 1000),
+      rejected,
+    });
+    checkpointedRef.current = points.length;
+  }, [tracking, points, rejected]);
 
   // Calculate distance and speed
   useEffect(() => {
     if (positions.length > 1) {
-      let total = 0;
-      for (let i = 1; i < positions.length; i++) {
-        total += haversineDistance(
-          positions[i - 1][0],
-          positions[i - 1][1],
-          positions[i][0],
-          positions[i][1]
-        );
-      }
+      const total = pathDistance(positions);
       setDistance(total);
-      setSpeed(total / (duration || 1));
+      setSpeed(total / (movingTime || 1));
     }
     if (onRideUpdate) {
-      onRideUpdate({ positions, distance, duration, speed });
+      onRideUpdate({ positions, points, distance, duration, movingTime, speed });
     }
-  }, [positions, duration, distance, onRideUpdate, speed]);
+  }, [positions, points, duration, movingTime, distance, onRideUpdate, speed]);
 
   // Bike icon for current position, color and size change in demo mode
-  const bikeIcon = new L.DivIcon({
-    html: demoMode
-      ? `<svg width="48" height="48" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="14" cy="38" r="7" fill="#f59e42" stroke="#d97706" stroke-width="3"/><circle cx="34" cy="38" r="7" fill="#f59e42" stroke="#d97706" stroke-width="3"/><rect x="23" y="14" width="3" height="10" fill="#d97706"/><path d="M14 38 L24 22 L34 38" stroke="#d97706" stroke-width="3" fill="none"/><rect x="21" y="7" width="6" height="6" rx="3" fill="#f59e42" stroke="#d97706" stroke-width="2"/></svg>`
-      : `<svg width="36" height="36" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="10" cy="28" r="5" fill="#2563eb" stroke="#1e40af" stroke-width="2"/><circle cx="26" cy="28" r="5" fill="#2563eb" stroke="#1e40af" stroke-width="2"/><rect x="17" y="10" width="2" height="7" fill="#1e40af"/><path d="M10 28 L18 17 L26 28" stroke="#1e40af" stroke-width="2" fill="none"/><rect x="16" y="6" width="4" height="4" rx="2" fill="#2563eb" stroke="#1e40af" stroke-width="1.5"/></svg>`,
-    iconSize: demoMode ? [48, 48] : [36, 36],
-    iconAnchor: demoMode ? [24, 24] : [18, 18],
-    className: ''
-  });
+  const bikeIcon = createBikeIcon(demoMode);
 
   // Determine if ride is finished (at end of route in demo mode)
-  const rideFinished = demoMode && directionRoute && directionRoute.length > 1 && positions.length === directionRoute.length;
+  const rideFinished = demoMode && replayingRef.current && positions.length === replayingRef.current.length;
 
   // Local state to hide modal after finish is pressed
   const [hideStats, setHideStats] = useState(false);
@@ -180,17 +269,45 @@ const RideTracker = ({ tracking, onRideUpdate, demoMode, directionRoute = [], on
         <div className="font-extrabold text-2xl tracking-wide mb-2 text-blue-700 dark:text-blue-300 font-poppins drop-shadow">
           Live Ride Tracking
         </div>
+        {tracking && offRoute && (
+          <div className="mb-2 px-3 py-1 rounded-lg bg-red-600 text-white text-sm font-bold text-center" role="alert">
+            Off route by {Math.round(offRoute.distance)} m{offRoute.rerouting ? ' · rerouting…' : ''}
+          </div>
+        )}
+        {tracking && nextTurn && !offRoute && (
+          <div className="mb-2 px-3 py-1 rounded-lg bg-blue-600 text-white text-center">
+            <div className="text-2xl font-extrabold">{formatStepDistance(nextTurn.distance)}</div>
+            <div className="text-sm">{nextTurn.instruction}</div>
+          </div>
+        )}
+        {tracking && (paused || autoPaused) && (
+          <div className="mb-2 px-3 py-0.5 rounded-full bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200 text-xs font-bold uppercase tracking-wide">
+            {paused ? 'Paused' : 'Auto-paused'}
+          </div>
+        )}
         <div className="mb-1 text-gray-800 dark:text-gray-200 font-medium text-lg">
           Distance: <span className="font-semibold">{(distance / 1000).toFixed(2)} km</span>
         </div>
         <div className="mb-1 text-gray-800 dark:text-gray-200 font-medium text-lg">
-          Duration: <span className="font-semibold">{Math.floor(duration / 60)}:{(duration % 60).toString().padStart(2, '0')}</span>
+          Moving Time: <span className="font-semibold">{formatDuration(movingTime)}</span>
+        </div>
+        <div className="mb-1 text-gray-600 dark:text-gray-400 font-medium text-sm">
+          Elapsed: <span className="font-semibold">{formatDuration(duration)}</span>
         </div>
         <div className="mb-2 text-gray-800 dark:text-gray-200 font-medium text-lg">
-          Avg Speed: <span className="font-semibold">{((distance / (duration || 1)) * 3.6).toFixed(1)} km/h</span>
+          Avg Speed: <span className="font-semibold">{((distance / (movingTime || 1)) * 3.6).toFixed(1)} km/h</span>
         </div>
+        {!demoMode && (
+          <div
+            className="text-xs text-gray-500 dark:text-gray-400"
+            title={Object.entries(rejected).map(([reason, count]) => `${REJECT_REASONS[reason]}: ${count}`).join(', ')}
+          >
+            Rejected points: <span className="font-semibold">{rejected.accuracy + rejected.speed}</span>
+          </div>
+        )}
+        {gpsError && tracking && <div className="text-xs text-red-500 mt-1">{gpsError}</div>}
         {(rideFinished || (!tracking && positions.length > 1)) && (
-          <button className="mt-3 px-8 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-bold text-lg shadow-md transition-colors duration-150" onClick={() => { setHideStats(true); onFinishRide({ positions, distance, duration, speed }); }}>
+          <button className="mt-3 px-8 py-2 rounded-lg bg-green-600 hover:bg-green-700 text-white font-bold text-lg shadow-md transition-colors duration-150" onClick={() => { setHideStats(true); onFinishRide({ positions, points, distance, duration, movingTime, speed }); }}>
             Finish Ride
           </button>
         )}
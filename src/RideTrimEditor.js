@@ -0,0 +1,102 @@
+import React, { useMemo } from 'react';
+import { ridePoints, formatDuration } from './rideStats';
+import { trimRide, splitRide } from './rideEdit';
+import { rideTitle } from './rideStore';
+
+export function initialTrimRange(ride) {
+  const last = ride.positions.length - 1;
+  return { start: 0, end: last, split: Math.floor(last / 2) };
+}
+
+function RangeSlider({ label, value, min, max, points, onChange }) {
+  return (
+    <label className="block text-xs mb-2">
+      <span className="flex justify-between">
+        <span className="font-semibold">{label}</span>
+        <span>{new Date(points[value].time).toLocaleTimeString()}</span>
+      </span>
+      <input type="range" className="w-full" min={min} max={max} value={value} onChange={(e) => onChange(Number(e.target.value))} />
+    </label>
+  );
+}
+
+function Totals({ ride }) {
+  return (
+    <span>
+      {(ride.distance / 1000).toFixed(2)} km · {formatDuration(ride.duration)}
+    </span>
+  );
+}
+
+// Panel for trimming the start/end of a saved ride or splitting it in two.
+// `range` ({ start, end, split } point indexes) is owned by the parent so the
+// map can preview it.
+export default function RideTrimEditor({ ride, range, onRangeChange, onTrim, onSplit, onClose }) {
+  const points = useMemo(() => ridePoints(ride), [ride]);
+  const last = points.length - 1;
+  const editable = points.length >= 3;
+  const trimmed = useMemo(() => editable && trimRide(ride, range.start, range.end), [editable, ride, range.start, range.end]);
+  const halves = useMemo(() => editable && splitRide(ride, range.split), [editable, ride, range.split]);
+  const untouched = range.start === 0 && range.end === last;
+
+  if (!editable) {
+    return (
+      <div className="fixed top-20 right-4 z-[1000] w-80 bg-white/95 dark:bg-gray-900/95 rounded-xl shadow-2xl p-4 text-gray-800 dark:text-gray-200">
+        <div className="text-sm mb-2">This ride is too short to trim or split.</div>
+        <button className="w-full bg-gray-200 dark:bg-gray-700 py-1 rounded text-sm" onClick={onClose}>Close</button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="fixed top-20 right-4 z-[1000] w-80 max-h-[80vh] overflow-y-auto bg-white/95 dark:bg-gray-900/95 rounded-xl shadow-2xl p-4 backdrop-blur-md border border-gray-200 dark:border-gray-700 text-gray-800 dark:text-gray-200">
+      <div className="font-extrabold text-lg text-blue-700 dark:text-blue-300 font-poppins">Edit track</div>
+      <div className="text-xs text-gray-500 mb-3">{rideTitle(ride)} · <Totals ride={ride} /></div>
+
+      <div className="text-sm font-semibold mb-1">Trim</div>
+      <RangeSlider
+        label="Start"
+        value={range.start}
+        min={0}
+        max={last - 1}
+        points={points}
+        onChange={(start) => onRangeChange({ ...range, start, end: Math.max(range.end, start + 1) })}
+      />
+      <RangeSlider
+        label="End"
+        value={range.end}
+        min={1}
+        max={last}
+        points={points}
+        onChange={(end) => onRangeChange({ ...range, end, start: Math.min(range.start, end - 1) })}
+      />
+      <div className="text-xs mb-2">Result: <Totals ride={trimmed} /></div>
+      <button
+        className="w-full mb-4 bg-blue-600 hover:bg-blue-700 text-white py-1 rounded text-sm font-bold disabled:opacity-50"
+        disabled={untouched}
+        onClick={() => onTrim(trimmed)}
+      >
+        Save trimmed ride
+      </button>
+
+      <div className="text-sm font-semibold mb-1">Split</div>
+      <RangeSlider
+        label="Split at"
+        value={range.split}
+        min={1}
+        max={last - 1}
+        points={points}
+        onChange={(split) => onRangeChange({ ...range, split })}
+      />
+      <div className="text-xs mb-2">
+        <div>First: <Totals ride={halves[0]} /></div>
+        <div>Second: <Totals ride={halves[1]} /></div>
+      </div>
+      <button className="w-full mb-4 bg-orange-500 hover:bg-orange-600 text-white py-1 rounded text-sm font-bold" onClick={() => onSplit(halves)}>
+        Split into two rides
+      </button>
+
+      <button className="w-full bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 py-1 rounded text-sm" onClick={onClose}>Cancel</button>
+    </div>
+  );
+}
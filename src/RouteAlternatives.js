@@ -0,0 +1,53 @@
+import React from 'react';
+import { Polyline } from 'react-leaflet';
+import L from 'leaflet';
+
+// One colour per route returned by the router; the first matches the original blue line
+export const ROUTE_COLORS = ['#2563eb', '#9333ea', '#0d9488'];
+
+const routeColor = (idx) => ROUTE_COLORS[idx % ROUTE_COLORS.length];
+const routeLetter = (idx) => String.fromCharCode(65 + idx);
+
+// Inactive alternatives are dashed and drawn below the active route; clicking one selects it
+export function AlternativeRoutesLayer({ routes, activeIndex, onSelect }) {
+  if (routes.length < 2) return null;
+  return routes.map((r, idx) =>
+    idx === activeIndex ? null : (
+      <Polyline
+        key={idx}
+        positions={r.route}
+        pathOptions={{ color: routeColor(idx), weight: 4, opacity: 0.6, dashArray: '8 8' }}
+        eventHandlers={{
+          click: (e) => {
+            L.DomEvent.stopPropagation(e);
+            onSelect(idx);
+          },
+        }}
+      />
+    )
+  );
+}
+
+// Side-by-side comparison of the fetched routes, relative to the fastest
+export default function RouteAlternativesList({ routes, activeIndex, onSelect }) {
+  if (routes.length < 2) return null;
+  const fastest = Math.min(...routes.map((r) => r.duration));
+  return (
+    <div className="grid gap-1 mt-2" style={{ gridTemplateColumns: `repeat(${routes.length}, minmax(0, 1fr))` }}>
+      {routes.map((r, idx) => (
+        <button
+          key={idx}
+          className={`p-1 rounded border-2 text-xs text-left ${idx === activeIndex ? 'bg-blue-50 dark:bg-blue-900/40' : 'bg-white dark:bg-gray-800'}`}
+          style={{ borderColor: routeColor(idx) }}
+          onClick={() => onSelect(idx)}
+          aria-pressed={idx === activeIndex}
+        >
+          <div className="font-bold" style={{ color: routeColor(idx) }}>Route {routeLetter(idx)}</div>
+          <div>{(r.distance / 1000).toFixed(2)} km</div>
+          <div>{Math.round(r.duration / 60)} min</div>
+          {r.duration > fastest && <div className="text-gray-500">+{Math.round((r.duration - fastest) / 60)} min</div>}
+        </button>
+      ))}
+    </div>
+  );
+}
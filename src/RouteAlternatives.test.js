@@ -0,0 +1,54 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import RouteAlternativesList, { AlternativeRoutesLayer } from './RouteAlternatives';
+
+// Polylines become buttons so clicks on the map can be simulated
+jest.mock('react-leaflet', () => {
+  const React = require('react');
+  return {
+    Polyline: ({ positions, eventHandlers }) =>
+      React.createElement('button', { 'data-testid': 'polyline', onClick: () => eventHandlers.click({}) }, positions.map((p) => p.join(',')).join(' ')),
+  };
+});
+jest.mock('leaflet', () => ({ DomEvent: { stopPropagation: () => {} } }));
+
+const routes = [
+  { route: [[21.0, 105.8], [21.1, 105.9]], distance: 12000, duration: 1800 },
+  { route: [[21.0, 105.8], [21.05, 105.95]], distance: 10500, duration: 2100 },
+  { route: [[21.0, 105.8], [21.2, 105.85]], distance: 14000, duration: 1500 },
+];
+
+describe('RouteAlternativesList', () => {
+  it('marks the active route and compares the others with the fastest', () => {
+    render(<RouteAlternativesList routes={routes} activeIndex={0} onSelect={() => {}} />);
+    const [a, b, c] = screen.getAllByRole('button');
+    expect(a).toHaveAttribute('aria-pressed', 'true');
+    expect(b).toHaveAttribute('aria-pressed', 'false');
+    expect(a).toHaveTextContent('Route A12.00 km30 min+5 min');
+    expect(b).toHaveTextContent('+10 min');
+    expect(c).toHaveTextContent('Route C14.00 km25 min');
+    expect(c).not.toHaveTextContent('+');
+  });
+
+  it('selects the route that was clicked', () => {
+    const onSelect = jest.fn();
+    render(<RouteAlternativesList routes={routes} activeIndex={0} onSelect={onSelect} />);
+    fireEvent.click(screen.getByRole('button', { name: /Route C/ }));
+    expect(onSelect).toHaveBeenCalledWith(2);
+  });
+
+  it('is hidden when there is only one route', () => {
+    const { container } = render(<RouteAlternativesList routes={routes.slice(0, 1)} activeIndex={0} onSelect={() => {}} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
+
+describe('AlternativeRoutesLayer', () => {
+  it('draws only the inactive routes and selects one when clicked', () => {
+    const onSelect = jest.fn();
+    render(<AlternativeRoutesLayer routes={routes} activeIndex={1} onSelect={onSelect} />);
+    const lines = screen.getAllByTestId('polyline');
+    expect(lines.map((line) => line.textContent)).toEqual(['21,105.8 21.1,105.9', '21,105.8 21.2,105.85']);
+    fireEvent.click(lines[1]);
+    expect(onSelect).toHaveBeenCalledWith(2);
+  });
+});
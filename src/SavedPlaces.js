@@ -0,0 +1,81 @@
+import React, { useState } from 'react';
+import { StarIcon, ClockIcon, PencilIcon, XIcon } from '@heroicons/react/solid';
+
+// Sidebar list of saved places (go, rename, remove) and recent searches
+export default function SavedPlaces({ places, recents, onGo, onRename, onRemove, onClearRecent }) {
+  const [editingId, setEditingId] = useState(null);
+  const [draft, setDraft] = useState('');
+
+  const startEditing = (place) => {
+    setEditingId(place.id);
+    setDraft(place.name);
+  };
+
+  const finishEditing = () => {
+    onRename(editingId, draft);
+    setEditingId(null);
+  };
+
+  return (
+    <div className="mb-4 text-sm">
+      <h2 className="font-semibold text-gray-800 dark:text-gray-100 mb-1">Saved places</h2>
+      {places.length === 0 && (
+        <p className="text-xs text-gray-500 dark:text-gray-400">Star a place in its popup or in the search results to keep it here.</p>
+      )}
+      {places.map((place) => (
+        <div key={place.id} className="flex items-center gap-1 py-0.5">
+          <StarIcon className="w-4 h-4 shrink-0 text-yellow-500" />
+          {editingId === place.id ? (
+            <input
+              className="flex-1 min-w-0 px-1 border rounded text-sm dark:bg-gray-700 dark:text-gray-100"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              onBlur={finishEditing}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') finishEditing();
+                if (e.key === 'Escape') setEditingId(null);
+              }}
+              aria-label="Place name"
+              autoFocus
+            />
+          ) : (
+            <button
+              className="flex-1 min-w-0 text-left truncate text-blue-700 dark:text-blue-300 hover:underline"
+              onClick={() => onGo(place)}
+              title={place.label}
+            >
+              {place.name}
+            </button>
+          )}
+          <button className="text-gray-500 hover:text-blue-600" onClick={() => startEditing(place)} aria-label={`Rename ${place.name}`}>
+            <PencilIcon className="w-4 h-4" />
+          </button>
+          <button className="text-gray-500 hover:text-red-600" onClick={() => onRemove(place.id)} aria-label={`Remove ${place.name}`}>
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      {recents.length > 0 && (
+        <>
+          <div className="flex items-center justify-between mt-2 mb-1">
+            <h3 className="text-xs font-semibold text-gray-600 dark:text-gray-300">Recent searches</h3>
+            <button className="text-xs text-blue-600 dark:text-blue-300 hover:underline" onClick={onClearRecent}>
+              Clear
+            </button>
+          </div>
+          {recents.map((recent) => (
+            <button
+              key={`${recent.lat},${recent.lng}`}
+              className="flex items-center gap-1 w-full py-0.5 text-left text-xs text-gray-700 dark:text-gray-300 hover:underline"
+              onClick={() => onGo(recent)}
+              title={recent.label}
+            >
+              <ClockIcon className="w-3.5 h-3.5 shrink-0 text-gray-400" />
+              <span className="truncate">{recent.name}</span>
+            </button>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,202 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  filterRidesByDate,
+  periodTotals,
+  personalBests,
+  rideStreaks,
+  dailyDistances,
+  calendarWeeks,
+  dayKey,
+  parseLocalDate,
+} from './rideAggregates';
+import { formatDuration } from './rideStats';
+import { loadRides } from './rideStore';
+
+const HEATMAP_WEEKS = 53;
+const HEATMAP_COLORS = ['bg-gray-200 dark:bg-gray-700', 'bg-green-200', 'bg-green-400', 'bg-green-600', 'bg-green-800'];
+
+function heatmapLevel(distance) {
+  if (!distance) return 0;
+  if (distance < 5000) return 1;
+  if (distance < 15000) return 2;
+  if (distance < 30000) return 3;
+  return 4;
+}
+
+function isoDate(date) {
+  return date ? dayKey(date) : '';
+}
+
+const PRESETS = {
+  all: () => [null, null],
+  '30d': () => [new Date(Date.now() - 29 * 24 * 60 * 60 * 1000), new Date()],
+  year: () => [new Date(new Date().getFullYear(), 0, 1), new Date()],
+};
+
+function PersonalBest({ label, best, format }) {
+  return (
+    <div className="flex justify-between text-sm py-1">
+      <span className="text-gray-600 dark:text-gray-400">{label}</span>
+      {best ? (
+        <span className="font-semibold text-right">
+          {format(best.value)}
+          <span className="block text-xs font-normal text-gray-500">{new Date(best.ride.date).toLocaleDateString()}</span>
+        </span>
+      ) : (
+        <span className="text-gray-400 italic">—</span>
+      )}
+    </div>
+  );
+}
+
+export default function StatsDashboard({ open, onClose }) {
+  const [rides, setRides] = useState([]);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [period, setPeriod] = useState('week');
+
+  // Aggregates need every ride, not just the page shown in the sidebar
+  useEffect(() => {
+    if (!open) return;
+    loadRides()
+      .then((result) => setRides(result.rides))
+      .catch((err) => console.error('Error loading rides:', err));
+  }, [open]);
+
+  const filtered = useMemo(() => filterRidesByDate(rides, from, to), [rides, from, to]);
+  const totals = useMemo(() => periodTotals(filtered, period), [filtered, period]);
+  const bests = useMemo(() => personalBests(filtered), [filtered]);
+  const streaks = useMemo(() => rideStreaks(filtered), [filtered]);
+  const daily = useMemo(() => dailyDistances(filtered), [filtered]);
+  const weeks = useMemo(() => {
+    const end = to ? parseLocalDate(to) : new Date();
+    const earliest = new Date(end.getFullYear(), end.getMonth(), end.getDate() - (HEATMAP_WEEKS * 7 - 1));
+    return calendarWeeks(from && parseLocalDate(from) > earliest ? parseLocalDate(from) : earliest, end);
+  }, [from, to]);
+
+  if (!open) return null;
+
+  const summary = filtered.reduce(
+    (acc, ride) => ({
+      distance: acc.distance + (ride.distance || 0),
+      duration: acc.duration + ((typeof ride.movingTime === 'number' ? ride.movingTime : ride.duration) || 0),
+    }),
+    { distance: 0, duration: 0 }
+  );
+  const maxPeriodDistance = Math.max(1, ...totals.map((t) => t.distance));
+
+  return (
+    <div className="fixed inset-0 z-[1100] flex items-center justify-center bg-black/30">
+      <div className="relative w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-3xl shadow-2xl bg-white dark:bg-gray-900 text-gray-800 dark:text-gray-200 p-6">
+        <button
+          className="absolute top-4 right-4 bg-white/80 hover:bg-red-500 hover:text-white text-gray-700 rounded-full p-2 shadow-lg border border-gray-200 dark:bg-gray-900 dark:text-white dark:border-gray-700 transition-colors"
+          onClick={onClose}
+          aria-label="Close statistics"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24" strokeWidth={2} stroke="currentColor" className="w-5 h-5">
+            <path strokeLinecap="round" strokeLinejoin="round" d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+        <h2 className="font-extrabold text-2xl mb-4 text-blue-700 dark:text-blue-300 font-poppins">Ride Statistics</h2>
+
+        {/* Date range filter */}
+        <div className="flex flex-wrap items-center gap-2 mb-4 text-xs">
+          {Object.entries({ all: 'All time', '30d': 'Last 30 days', year: 'This year' }).map(([key, label]) => (
+            <button
+              key={key}
+              className="px-2 py-1 rounded bg-gray-200 hover:bg-blue-500 hover:text-white dark:bg-gray-700"
+              onClick={() => {
+                const [f, t] = PRESETS[key]();
+                setFrom(f && isoDate(f));
+                setTo(t && isoDate(t));
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          <input type="date" className="p-1 border rounded dark:bg-gray-700" value={from || ''} onChange={(e) => setFrom(e.target.value || null)} />
+          <span>to</span>
+          <input type="date" className="p-1 border rounded dark:bg-gray-700" value={to || ''} onChange={(e) => setTo(e.target.value || null)} />
+        </div>
+
+        <div className="grid grid-cols-3 gap-2 mb-4 text-center">
+          <div><div className="text-xs text-gray-500">Rides</div><div className="font-bold text-lg">{filtered.length}</div></div>
+          <div><div className="text-xs text-gray-500">Distance</div><div className="font-bold text-lg">{(summary.distance / 1000).toFixed(1)} km</div></div>
+          <div><div className="text-xs text-gray-500">Moving time</div><div className="font-bold text-lg">{formatDuration(summary.duration)}</div></div>
+        </div>
+
+        {/* Calendar heatmap, one column per week */}
+        <div className="mb-4 overflow-x-auto">
+          <div className="flex gap-[2px]">
+            {weeks.map((week) => (
+              <div key={week[0].getTime()} className="flex flex-col gap-[2px]">
+                {week.map((day) => {
+                  const key = dayKey(day);
+                  const distance = daily[key] || 0;
+                  return (
+                    <div
+                      key={key}
+                      className={`w-2.5 h-2.5 rounded-sm ${HEATMAP_COLORS[heatmapLevel(distance)]}`}
+                      title={`${day.toLocaleDateString()}: ${(distance / 1000).toFixed(1)} km`}
+                    />
+                  );
+                })}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div>
+            <h3 className="font-bold mb-1">Personal bests</h3>
+            <PersonalBest label="Longest ride" best={bests.longestRide} format={(v) => `${(v / 1000).toFixed(2)} km`} />
+            <PersonalBest label="Fastest average" best={bests.fastestAverage} format={(v) => `${(v * 3.6).toFixed(1)} km/h`} />
+            <PersonalBest label="Fastest 5 km" best={bests.fastest5k} format={formatDuration} />
+          </div>
+          <div>
+            <h3 className="font-bold mb-1">Streaks</h3>
+            <div className="flex justify-between text-sm py-1">
+              <span className="text-gray-600 dark:text-gray-400">Current</span>
+              <span className="font-semibold">{streaks.current} day{streaks.current === 1 ? '' : 's'}</span>
+            </div>
+            <div className="flex justify-between text-sm py-1">
+              <span className="text-gray-600 dark:text-gray-400">Longest</span>
+              <span className="font-semibold">{streaks.longest} day{streaks.longest === 1 ? '' : 's'}</span>
+            </div>
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="font-bold">{period === 'week' ? 'Weekly' : 'Monthly'} totals</h3>
+          <div className="flex gap-1 text-xs">
+            {['week', 'month'].map((p) => (
+              <button
+                key={p}
+                className={`px-2 py-0.5 rounded ${period === p ? 'bg-blue-500 text-white' : 'bg-gray-200 dark:bg-gray-700'}`}
+                onClick={() => setPeriod(p)}
+              >
+                {p === 'week' ? 'Weekly' : 'Monthly'}
+              </button>
+            ))}
+          </div>
+        </div>
+        {totals.length === 0 && <div className="text-gray-400 italic text-center py-2">No rides in this range.</div>}
+        {totals.map((t) => (
+          <div key={t.start.getTime()} className="flex items-center gap-2 text-xs py-0.5">
+            <span className="w-24 shrink-0">
+              {period === 'week'
+                ? `Wk of ${t.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`
+                : t.start.toLocaleDateString(undefined, { month: 'short', year: 'numeric' })}
+            </span>
+            <div className="flex-1 bg-gray-100 dark:bg-gray-800 rounded h-3">
+              <div className="bg-blue-500 h-3 rounded" style={{ width: `${(t.distance / maxPeriodDistance) * 100}%` }} />
+            </div>
+            <span className="w-28 shrink-0 text-right">
+              {(t.distance / 1000).toFixed(1)} km · {t.rides} ride{t.rides === 1 ? '' : 's'}
+            </span>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { Polyline, CircleMarker, Popup, useMap } from 'react-leaflet';
+import L from 'leaflet';
+
+const ACCEPTED_FILES = '.gpx,.kml,.geojson,.json';
+
+// Full-screen overlay shown while a file is dragged over the window
+export default function TrackDropZone({ onFile }) {
+  const [dragging, setDragging] = useState(false);
+
+  useEffect(() => {
+    let depth = 0;
+    const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+    const handleDragEnter = (e) => {
+      if (!hasFiles(e)) return;
+      depth += 1;
+      setDragging(true);
+    };
+    const handleDragLeave = (e) => {
+      if (!hasFiles(e)) return;
+      depth = Math.max(0, depth - 1);
+      if (depth === 0) setDragging(false);
+    };
+    const handleDragOver = (e) => {
+      if (hasFiles(e)) e.preventDefault();
+    };
+    const handleDrop = (e) => {
+      if (!hasFiles(e)) return;
+      e.preventDefault();
+      depth = 0;
+      setDragging(false);
+      const file = e.dataTransfer.files[0];
+      if (file) onFile(file);
+    };
+    window.addEventListener('dragenter', handleDragEnter);
+    window.addEventListener('dragleave', handleDragLeave);
+    window.addEventListener('dragover', handleDragOver);
+    window.addEventListener('drop', handleDrop);
+    return () => {
+      window.removeEventListener('dragenter', handleDragEnter);
+      window.removeEventListener('dragleave', handleDragLeave);
+      window.removeEventListener('dragover', handleDragOver);
+      window.removeEventListener('drop', handleDrop);
+    };
+  }, [onFile]);
+
+  if (!dragging) return null;
+  return (
+    <div className="fixed inset-0 z-[1200] flex items-center justify-center bg-blue-600/30 backdrop-blur-sm pointer-events-none">
+      <div className="bg-white/90 dark:bg-gray-900/95 rounded-xl shadow-2xl px-8 py-6 border-2 border-dashed border-blue-500 text-xl font-bold text-blue-700 dark:text-blue-300 font-poppins">
+        Drop a GPX, KML or GeoJSON file to import
+      </div>
+    </div>
+  );
+}
+
+export function ImportFileButton({ onFile }) {
+  return (
+    <label className="w-full block text-center cursor-pointer bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:hover:bg-gray-600 text-gray-700 dark:text-gray-200 py-1 rounded text-sm font-semibold">
+      Import GPX / KML / GeoJSON
+      <input
+        type="file"
+        accept={ACCEPTED_FILES}
+        className="hidden"
+        onChange={(e) => {
+          const file = e.target.files[0];
+          if (file) onFile(file);
+          e.target.value = '';
+        }}
+      />
+    </label>
+  );
+}
+
+// Draws the imported tracks, routes and waypoints and zooms the map to them
+export function ImportedTrackLayer({ track }) {
+  const map = useMap();
+
+  useEffect(() => {
+    if (!track) return;
+    const latlngs = [
+      ...track.tracks.flatMap((t) => t.points.map((p) => [p.lat, p.lng])),
+      ...track.waypoints.map((p) => [p.lat, p.lng]),
+    ];
+    if (latlngs.length > 0) map.fitBounds(L.latLngBounds(latlngs), { padding: [40, 40] });
+  }, [map, track]);
+
+  if (!track) return null;
+  return (
+    <>
+      {track.tracks.map((t, i) => (
+        <Polyline
+          key={i}
+          positions={t.points.map((p) => [p.lat, p.lng])}
+          pathOptions={{ color: 'purple', weight: 4, dashArray: t.kind === 'route' ? '8 6' : null }}
+        />
+      ))}
+      {track.waypoints.map((p, i) => (
+        <CircleMarker key={i} center={[p.lat, p.lng]} radius={6} pathOptions={{ color: 'purple', fillOpacity: 0.8 }}>
+          {p.name && <Popup>{p.name}</Popup>}
+        </CircleMarker>
+      ))}
+    </>
+  );
+}
+
+export function ImportedTrackPanel({ track, error, onSave, onUseAsDemo, onDiscard }) {
+  if (!track && !error) return null;
+  return (
+    <div className="fixed top-4 left-1/2 transform -translate-x-1/2 z-[1000] bg-white/90 dark:bg-gray-900/95 rounded-xl shadow-2xl px-6 py-4 flex flex-col gap-2 backdrop-blur-md border border-gray-200 dark:border-gray-700 max-w-sm w-[90%]">
+      {error ? (
+        <>
+          <div className="text-sm font-semibold text-red-600 dark:text-red-400">Import failed: {error}</div>
+          <button className="self-end text-xs text-gray-500 hover:text-gray-800 dark:hover:text-gray-200" onClick={onDiscard}>Dismiss</button>
+        </>
+      ) : (
+        <>
+          <div className="font-bold text-blue-700 dark:text-blue-300 font-poppins truncate">{track.name}</div>
+          <div className="text-xs text-gray-600 dark:text-gray-300">
+            {track.tracks.length} track{track.tracks.length === 1 ? '' : 's'}, {track.waypoints.length} waypoint{track.waypoints.length === 1 ? '' : 's'}
+          </div>
+          <div className="flex gap-2">
+            <button
+              className="flex-1 bg-green-600 hover:bg-green-700 text-white px-2 py-1 rounded text-xs font-bold disabled:opacity-50"
+              onClick={onSave}
+              disabled={track.tracks.length === 0}
+            >
+              Save to history
+            </button>
+            <button
+              className="flex-1 bg-blue-500 hover:bg-blue-600 text-white px-2 py-1 rounded text-xs font-bold disabled:opacity-50"
+              onClick={onUseAsDemo}
+              disabled={track.tracks.length === 0}
+            >
+              Use as demo route
+            </button>
+            <button className="bg-gray-200 dark:bg-gray-700 text-gray-700 dark:text-gray-200 px-2 py-1 rounded text-xs" onClick={onDiscard}>
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,28 @@
+import React from 'react';
+import { TRAVEL_PROFILES, estimateDuration } from './travelProfiles';
+
+const formatMinutes = (seconds) => `${Math.max(1, Math.round(seconds / 60))} min`;
+
+// Segmented profile buttons. Once a route is known each button also shows the
+// time for it: the router's duration for the active profile, an estimate for the others.
+export default function TravelProfilePicker({ profile, onChange, distance = null, duration = null }) {
+  return (
+    <div className="flex gap-1 mb-2" role="radiogroup" aria-label="Travel profile">
+      {Object.entries(TRAVEL_PROFILES).map(([key, { label }]) => {
+        const time = distance === null ? null : key === profile && duration !== null ? duration : estimateDuration(distance, key);
+        return (
+          <button
+            key={key}
+            role="radio"
+            aria-checked={key === profile}
+            className={`flex-1 py-1 rounded text-xs font-semibold ${key === profile ? 'bg-blue-600 text-white' : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'}`}
+            onClick={() => onChange(key)}
+          >
+            {label}
+            {time !== null && <span className="block font-normal">{key === profile ? '' : '≈ '}{formatMinutes(time)}</span>}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,36 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import TravelProfilePicker from './TravelProfilePicker';
+
+// 9 km that the router says takes 25 min by bike
+const route = { distance: 9000, duration: 1500 };
+
+test('shows the router\'s time for the active profile and estimates for the others', () => {
+  render(<TravelProfilePicker profile="cycling" onChange={() => {}} {...route} />);
+  expect(screen.getByRole('radio', { name: /Cycling/ })).toHaveTextContent(/^Cycling25 min$/);
+  expect(screen.getByRole('radio', { name: /Walking/ })).toHaveTextContent('≈ 107 min');
+  expect(screen.getByRole('radio', { name: /Driving/ })).toHaveTextContent('≈ 14 min');
+});
+
+test('shows no times before a route is known', () => {
+  render(<TravelProfilePicker profile="walking" onChange={() => {}} />);
+  expect(screen.getByRole('radio', { name: 'Walking' })).toHaveAttribute('aria-checked', 'true');
+  expect(screen.queryByText(/min/)).not.toBeInTheDocument();
+});
+
+test('asks for the picked profile and follows it once the route for it arrives', () => {
+  const onChange = jest.fn();
+  const { rerender } = render(<TravelProfilePicker profile="cycling" onChange={onChange} {...route} />);
+  fireEvent.click(screen.getByRole('radio', { name: /Driving/ }));
+  expect(onChange).toHaveBeenCalledWith('driving');
+
+  // While the new route loads there are no times
+  rerender(<TravelProfilePicker profile="driving" onChange={onChange} distance={null} duration={null} />);
+  expect(screen.getByRole('radio', { name: /Driving/ })).toHaveAttribute('aria-checked', 'true');
+  expect(screen.getByRole('radio', { name: /Cycling/ })).toHaveAttribute('aria-checked', 'false');
+  expect(screen.queryByText(/min/)).not.toBeInTheDocument();
+
+  // The driving route's own time replaces the estimate; cycling is now estimated
+  rerender(<TravelProfilePicker profile="driving" onChange={onChange} distance={9500} duration={720} />);
+  expect(screen.getByRole('radio', { name: /Driving/ })).toHaveTextContent(/^Driving12 min$/);
+  expect(screen.getByRole('radio', { name: /Cycling/ })).toHaveTextContent('≈ 35 min');
+});
@@ -0,0 +1,24 @@
+import React, { useEffect } from 'react';
+
+const UNDO_TIMEOUT = 8000; // ms
+
+// Bottom-left notice with an Undo action that dismisses itself after a few seconds
+export default function UndoToast({ message, onUndo, onDismiss }) {
+  useEffect(() => {
+    if (!message) return;
+    const id = setTimeout(onDismiss, UNDO_TIMEOUT);
+    return () => clearTimeout(id);
+  }, [message, onDismiss]);
+
+  if (!message) return null;
+
+  return (
+    <div
+      className="fixed bottom-8 left-8 z-[1100] flex items-center gap-4 bg-gray-900 text-white dark:bg-white dark:text-gray-900 px-4 py-3 rounded-lg shadow-2xl text-sm"
+      role="status"
+    >
+      <span>{message}</span>
+      <button className="font-bold text-blue-400 dark:text-blue-600 hover:underline" onClick={onUndo}>Undo</button>
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import React from 'react';
+import { Marker, Tooltip } from 'react-leaflet';
+import L from 'leaflet';
+import { ChevronUpIcon, ChevronDownIcon, XIcon } from '@heroicons/react/solid';
+import { legTotals } from './stops';
+
+function stopIcon(number) {
+  return new L.DivIcon({
+    html: `<div class="w-6 h-6 rounded-full bg-purple-600 border-2 border-white text-white text-xs font-bold flex items-center justify-center shadow">${number}</div>`,
+    iconSize: [24, 24],
+    iconAnchor: [12, 12],
+    className: '',
+  });
+}
+
+const formatLeg = (leg) => `${(leg.distance / 1000).toFixed(2)} km · ${Math.round(leg.duration / 60)} min`;
+
+// Numbered, draggable markers for the intermediate stops of a route
+export default function WaypointMarkers({ stops, onMove }) {
+  return stops.map((stop, idx) => (
+    <Marker
+      key={idx}
+      position={stop}
+      icon={stopIcon(idx + 1)}
+      draggable
+      eventHandlers={{
+        dragend: (e) => {
+          const { lat, lng } = e.target.getLatLng();
+          onMove(idx, [lat, lng]);
+        },
+      }}
+    >
+      <Tooltip direction="top" offset={[0, -12]}>Stop {idx + 1} (drag to move)</Tooltip>
+    </Marker>
+  ));
+}
+
+// Sidebar list of stops with reordering, plus per-leg and total distance/time once routed.
+// legs[i] runs from the previous point (start or stop i) to stop i + 1 or the destination.
+export function StopList({ stops, legs, addingStop, onToggleAdding, onReorder, onRemove, onClear }) {
+  const names = ['Start', ...stops.map((_, idx) => `Stop ${idx + 1}`), 'Destination'];
+  const total = legTotals(legs);
+
+  return (
+    <div className="mb-2 text-sm">
+      {stops.map((stop, idx) => (
+        <div key={idx} className="flex items-center gap-1 py-0.5">
+          <span className="w-5 h-5 rounded-full bg-purple-600 text-white text-xs font-bold flex items-center justify-center">{idx + 1}</span>
+          <span className="flex-1 text-xs text-gray-600 dark:text-gray-400 truncate">{stop[0].toFixed(5)}, {stop[1].toFixed(5)}</span>
+          <button className="disabled:opacity-30" disabled={idx === 0} onClick={() => onReorder(idx, idx - 1)} aria-label={`Move stop ${idx + 1} up`}>
+            <ChevronUpIcon className="w-4 h-4" />
+          </button>
+          <button className="disabled:opacity-30" disabled={idx === stops.length - 1} onClick={() => onReorder(idx, idx + 1)} aria-label={`Move stop ${idx + 1} down`}>
+            <ChevronDownIcon className="w-4 h-4" />
+          </button>
+          <button className="hover:text-red-600" onClick={() => onRemove(idx)} aria-label={`Remove stop ${idx + 1}`}>
+            <XIcon className="w-4 h-4" />
+          </button>
+        </div>
+      ))}
+      <div className="flex gap-2 text-xs mt-1">
+        <button
+          className={`flex-1 py-1 rounded font-semibold ${addingStop ? 'bg-purple-600 text-white' : 'bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200'}`}
+          onClick={onToggleAdding}
+        >
+          {addingStop ? 'Click the map to add a stop…' : 'Add stop'}
+        </button>
+        {stops.length > 0 && (
+          <button className="px-2 py-1 rounded bg-gray-200 hover:bg-gray-300 dark:bg-gray-700 dark:text-gray-200" onClick={onClear}>
+            Clear stops
+          </button>
+        )}
+      </div>
+      {legs.length > 1 && (
+        <div className="mt-2 text-xs">
+          {legs.map((leg, idx) => (
+            <div key={idx} className="flex justify-between">
+              <span>{names[idx]} → {names[idx + 1]}</span>
+              <span className="font-semibold">{formatLeg(leg)}</span>
+            </div>
+          ))}
+          <div className="flex justify-between border-t border-gray-300 dark:border-gray-600 mt-1 pt-1 font-bold">
+            <span>Total</span>
+            <span>{formatLeg(total)}</span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,14 @@
+import L from 'leaflet';
+
+// Bike marker used for the live position and ride replays; the large orange
+// variant marks simulated movement (demo mode and replays)
+export default function createBikeIcon(large = false) {
+  return new L.DivIcon({
+    html: large
+      ? `<svg width="48" height="48" viewBox="0 0 48 48" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="14" cy="38" r="7" fill="#f59e42" stroke="#d97706" stroke-width="3"/><circle cx="34" cy="38" r="7" fill="#f59e42" stroke="#d97706" stroke-width="3"/><rect x="23" y="14" width="3" height="10" fill="#d97706"/><path d="M14 38 L24 22 L34 38" stroke="#d97706" stroke-width="3" fill="none"/><rect x="21" y="7" width="6" height="6" rx="3" fill="#f59e42" stroke="#d97706" stroke-width="2"/></svg>`
+      : `<svg width="36" height="36" viewBox="0 0 36 36" fill="none" xmlns="http://www.w3.org/2000/svg"><circle cx="10" cy="28" r="5" fill="#2563eb" stroke="#1e40af" stroke-width="2"/><circle cx="26" cy="28" r="5" fill="#2563eb" stroke="#1e40af" stroke-width="2"/><rect x="17" y="10" width="2" height="7" fill="#1e40af"/><path d="M10 28 L18 17 L26 28" stroke="#1e40af" stroke-width="2" fill="none"/><rect x="16" y="6" width="4" height="4" rx="2" fill="#2563eb" stroke="#1e40af" stroke-width="1.5"/></svg>`,
+    iconSize: large ? [48, 48] : [36, 36],
+    iconAnchor: large ? [24, 24] : [18, 18],
+    className: ''
+  });
+}
@@ -0,0 +1,176 @@
+// Coordinate input and output without any network calls: decimal degrees,
+// degrees/minutes/seconds and Open Location Codes (plus codes).
+
+const OLC_ALPHABET = '23456789CFGHJMPQRVWX';
+const OLC_SEPARATOR_POSITION = 8;
+// Degrees covered by one digit at each pair position
+const OLC_PAIR_RESOLUTIONS = [20, 1, 0.05, 0.0025, 0.000125];
+// Digits after the first ten refine a 4 x 5 grid
+const OLC_GRID_COLUMNS = 4;
+const OLC_GRID_ROWS = 5;
+
+const clampLatitude = (lat) => Math.min(90, Math.max(-90, lat));
+const normalizeLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// 10-digit plus code (about 14 x 14 m), e.g. 7PH72VH3+CM
+export function encodePlusCode(lat, lng) {
+  // Work in integer units of the final resolution to avoid rounding drift
+  const units = 8000;
+  let latVal = Math.floor(Math.round((clampLatitude(lat) + 90) * units * 1e6) / 1e6);
+  let lngVal = Math.floor(Math.round((normalizeLongitude(lng) + 180) * units * 1e6) / 1e6);
+  // The north pole belongs to the cell below it
+  latVal = Math.min(latVal, 180 * units - 1);
+  let code = '';
+  for (let i = 0; i < OLC_PAIR_RESOLUTIONS.length; i++) {
+    code = OLC_ALPHABET[latVal % 20] + OLC_ALPHABET[lngVal % 20] + code;
+    latVal = Math.floor(latVal / 20);
+    lngVal = Math.floor(lngVal / 20);
+  }
+  return `${code.slice(0, OLC_SEPARATOR_POSITION)}+${code.slice(OLC_SEPARATOR_POSITION)}`;
+}
+
+// Centre of a full plus code's area as [lat, lng]
+function decodePlusCode(code) {
+  const digits = code.toUpperCase().replace('+', '').replace(/0+$/, '');
+  let lat = -90;
+  let lng = -180;
+  let latRes = 0;
+  let lngRes = 0;
+  for (let i = 0; i < Math.min(digits.length, 10); i += 2) {
+    latRes = OLC_PAIR_RESOLUTIONS[i / 2];
+    lngRes = latRes;
+    lat += OLC_ALPHABET.indexOf(digits[i]) * latRes;
+    lng += OLC_ALPHABET.indexOf(digits[i + 1]) * lngRes;
+  }
+  for (let i = 10; i < digits.length; i++) {
+    latRes /= OLC_GRID_ROWS;
+    lngRes /= OLC_GRID_COLUMNS;
+    const value = OLC_ALPHABET.indexOf(digits[i]);
+    lat += Math.floor(value / OLC_GRID_COLUMNS) * latRes;
+    lng += (value % OLC_GRID_COLUMNS) * lngRes;
+  }
+  return [clampLatitude(lat + latRes / 2), normalizeLongitude(lng + lngRes / 2)];
+}
+
+// Full (8 digits before "+") or short (fewer, recovered near `reference`) plus codes
+const PLUS_CODE_PATTERN = /^([2-9CFGHJMPQRVWX]{2,8})(0*)\+([2-9CFGHJMPQRVWX]{2,})?$/i;
+
+function parsePlusCode(text, reference) {
+  const match = text.match(PLUS_CODE_PATTERN);
+  if (!match) return null;
+  const [, digits, padding, refinement = ''] = match;
+  const prefixLength = digits.length + padding.length;
+  if (digits.length % 2 || prefixLength % 2) return null;
+  if (prefixLength === OLC_SEPARATOR_POSITION) {
+    // Padded codes stand for a whole area and can't have digits after "+"
+    if (padding && refinement) return null;
+    if (OLC_ALPHABET.indexOf(digits[0].toUpperCase()) > 8 || OLC_ALPHABET.indexOf(digits[1].toUpperCase()) > 17) return null;
+    return decodePlusCode(text);
+  }
+  if (padding || !reference) return null;
+  // Short code: borrow the leading digits from the reference, then pick the
+  // matching cell nearest to it
+  const missing = OLC_SEPARATOR_POSITION - prefixLength;
+  const resolution = 20 ** (2 - missing / 2);
+  const [refLat, refLng] = reference;
+  let [lat, lng] = decodePlusCode(encodePlusCode(refLat, refLng).slice(0, missing) + text);
+  if (refLat + resolution / 2 < lat && lat - resolution >= -90) lat -= resolution;
+  else if (refLat - resolution / 2 > lat && lat + resolution <= 90) lat += resolution;
+  if (refLng + resolution / 2 < lng) lng -= resolution;
+  else if (refLng - resolution / 2 > lng) lng += resolution;
+  return [lat, normalizeLongitude(lng)];
+}
+
+// One coordinate from its numbers (degrees[, minutes[, seconds]]) and hemisphere letter
+function toDegrees(numbers, hemisphere) {
+  const [degrees, minutes = 0, seconds = 0] = numbers;
+  if (numbers.length > 1 && (!Number.isInteger(degrees) || minutes >= 60 || seconds >= 60)) return null;
+  if (numbers.length > 2 && !Number.isInteger(minutes)) return null;
+  const value = Math.abs(degrees) + minutes / 60 + seconds / 3600;
+  const negative = degrees < 0 || Object.is(degrees, -0) || hemisphere === 'S' || hemisphere === 'W';
+  return negative ? -value : value;
+}
+
+// Splits number and hemisphere tokens into the two coordinates
+function splitPair(tokens) {
+  const letters = tokens.filter((t) => typeof t === 'string');
+  const numbers = tokens.filter((t) => typeof t === 'number');
+  if (letters.length === 0) {
+    if (![2, 4, 6].includes(numbers.length)) return null;
+    const half = numbers.length / 2;
+    return [{ numbers: numbers.slice(0, half), letter: null }, { numbers: numbers.slice(half), letter: null }];
+  }
+  if (letters.length !== 2) return null;
+  // Letters either all lead ("N 21 1 42 E 105 51 15") or all trail ("21 1 42 N 105 51 15 E")
+  const leading = typeof tokens[0] === 'string';
+  const groups = [];
+  let current = { numbers: [], letter: null };
+  tokens.forEach((token) => {
+    if (typeof token === 'number') {
+      current.numbers.push(token);
+      return;
+    }
+    if (leading) {
+      if (current.numbers.length || current.letter) groups.push(current);
+      current = { numbers: [], letter: token };
+    } else {
+      current.letter = token;
+      groups.push(current);
+      current = { numbers: [], letter: null };
+    }
+  });
+  if (leading) groups.push(current);
+  else if (current.numbers.length) return null;
+  return groups.length === 2 && groups.every((g) => g.numbers.length >= 1 && g.numbers.length <= 3) ? groups : null;
+}
+
+function parseDegrees(text) {
+  const normalized = text.toUpperCase().replace(/[′’]/g, "'").replace(/[″”]|''/g, '"').replace(/º/g, '°');
+  // Anything besides numbers, separators, degree marks and hemispheres is a place name
+  if (!/^[\d\s.,;:°'"NSEW+-]+$/.test(normalized)) return null;
+  // Bare whole numbers ("10 20", a house number) are more likely a search
+  if (!/[.,°'"NSEW]/.test(normalized)) return null;
+  const tokens = normalized.match(/[-+]?\d+(?:\.\d+)?|[NSEW]/g) || [];
+  const groups = splitPair(tokens.map((t) => (/[NSEW]/.test(t) ? t : parseFloat(t))));
+  if (!groups) return null;
+  // Longitude first only when the hemisphere letters say so
+  const [latGroup, lngGroup] = groups[0].letter === 'E' || groups[0].letter === 'W' ? [groups[1], groups[0]] : groups;
+  if ((latGroup.letter && !'NS'.includes(latGroup.letter)) || (lngGroup.letter && !'EW'.includes(lngGroup.letter))) return null;
+  const lat = toDegrees(latGroup.numbers, latGroup.letter);
+  const lng = toDegrees(lngGroup.numbers, lngGroup.letter);
+  if (lat === null || lng === null || Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  const format = latGroup.numbers.length === 1 && lngGroup.numbers.length === 1 ? 'decimal' : 'dms';
+  return { lat, lng, format };
+}
+
+// Recognises "21.0285, 105.8542", "21°01'42.6"N 105°51'15.1"E" and plus codes
+// ("7PH72VH3+CM", or "2VH3+CM" near reference [lat, lng]). Returns
+// { lat, lng, format: 'decimal' | 'dms' | 'pluscode' } or null.
+export function parseCoordinates(text, reference = null) {
+  const trimmed = text.trim();
+  if (!trimmed) return null;
+  const plusCode = parsePlusCode(trimmed, reference);
+  if (plusCode) return { lat: plusCode[0], lng: plusCode[1], format: 'pluscode' };
+  return parseDegrees(trimmed);
+}
+
+export function formatDecimal([lat, lng]) {
+  return `${lat.toFixed(6)}, ${lng.toFixed(6)}`;
+}
+
+function formatDmsPart(value, positive, negative) {
+  // Work in tenths of a second so rounding can't produce 60"
+  const tenths = Math.round(Math.abs(value) * 36000);
+  const degrees = Math.floor(tenths / 36000);
+  const minutes = Math.floor((tenths % 36000) / 600);
+  const seconds = ((tenths % 600) / 10).toFixed(1);
+  return `${degrees}°${String(minutes).padStart(2, '0')}'${seconds.padStart(4, '0')}"${value < 0 ? negative : positive}`;
+}
+
+export function formatDMS([lat, lng]) {
+  return `${formatDmsPart(lat, 'N', 'S')} ${formatDmsPart(lng, 'E', 'W')}`;
+}
+
+export function formatPlusCode([lat, lng]) {
+  return encodePlusCode(lat, lng);
+}
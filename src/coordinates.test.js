@@ -0,0 +1,87 @@
+import { parseCoordinates, encodePlusCode, formatDecimal, formatDMS, formatPlusCode } from './coordinates';
+
+const hanoi = [21.0285, 105.8542];
+
+describe('parseCoordinates', () => {
+  it('reads decimal degrees', () => {
+    expect(parseCoordinates('21.0285, 105.8542')).toEqual({ lat: 21.0285, lng: 105.8542, format: 'decimal' });
+    expect(parseCoordinates(' 21.0285 105.8542 ')).toEqual({ lat: 21.0285, lng: 105.8542, format: 'decimal' });
+    expect(parseCoordinates('10, 20')).toEqual({ lat: 10, lng: 20, format: 'decimal' });
+    expect(parseCoordinates('-33.8568,151.2153')).toEqual({ lat: -33.8568, lng: 151.2153, format: 'decimal' });
+    expect(parseCoordinates('33.8568 S, 151.2153 E')).toEqual({ lat: -33.8568, lng: 151.2153, format: 'decimal' });
+  });
+
+  it('reads degrees, minutes and seconds', () => {
+    const parsed = parseCoordinates('21°01\'42.6"N 105°51\'15.1"E');
+    expect(parsed.format).toBe('dms');
+    expect(parsed.lat).toBeCloseTo(21.0285, 4);
+    expect(parsed.lng).toBeCloseTo(105.85419, 4);
+    const west = parseCoordinates('N 40 41 21.4 W 74 2 40.2');
+    expect(west.lat).toBeCloseTo(40.68928, 4);
+    expect(west.lng).toBeCloseTo(-74.04450, 4);
+    // Degrees and decimal minutes, with typographic primes
+    const minutes = parseCoordinates('21°1.71′N, 105°51.252′E');
+    expect(minutes.lat).toBeCloseTo(21.0285, 4);
+    expect(minutes.lng).toBeCloseTo(105.8542, 4);
+  });
+
+  it('puts longitude second unless the hemispheres say otherwise', () => {
+    const swapped = parseCoordinates('105.8542E 21.0285N');
+    expect(swapped).toEqual({ lat: 21.0285, lng: 105.8542, format: 'decimal' });
+  });
+
+  it('reads full plus codes', () => {
+    const parsed = parseCoordinates('8FVC2222+22');
+    expect(parsed.format).toBe('pluscode');
+    expect(parsed.lat).toBeCloseTo(47.0000625, 7);
+    expect(parsed.lng).toBeCloseTo(8.0000625, 7);
+    expect(parseCoordinates('8fvc2222+22').lat).toBeCloseTo(47.0000625, 7);
+    // Padded codes stand for the middle of a larger area
+    const area = parseCoordinates('8FVC0000+');
+    expect(area.lat).toBeCloseTo(47.5, 7);
+    expect(area.lng).toBeCloseTo(8.5, 7);
+  });
+
+  it('recovers short plus codes near the reference point', () => {
+    const code = encodePlusCode(...hanoi);
+    const short = code.slice(4);
+    expect(parseCoordinates(short)).toBeNull();
+    const parsed = parseCoordinates(short, [21.1, 105.7]);
+    expect(parsed.lat).toBeCloseTo(hanoi[0], 3);
+    expect(parsed.lng).toBeCloseTo(hanoi[1], 3);
+  });
+
+  it('leaves place names and out-of-range values to the geocoder', () => {
+    expect(parseCoordinates('')).toBeNull();
+    expect(parseCoordinates('12 Hang Bac')).toBeNull();
+    expect(parseCoordinates('2024')).toBeNull();
+    expect(parseCoordinates('10 20')).toBeNull();
+    expect(parseCoordinates('21 1 42 105 51 15')).toBeNull();
+    expect(parseCoordinates('95.1, 20')).toBeNull();
+    expect(parseCoordinates('21 75 0 N 105 0 0 E')).toBeNull();
+    expect(parseCoordinates('21.5 N 105.2 N')).toBeNull();
+    expect(parseCoordinates('XX22+22')).toBeNull();
+  });
+});
+
+describe('formatting', () => {
+  it('encodes 10-digit plus codes', () => {
+    expect(encodePlusCode(47.0000625, 8.0000625)).toBe('8FVC2222+22');
+    expect(encodePlusCode(90, 180)).toBe(encodePlusCode(89.99999, -180));
+  });
+
+  it('formats a position in every accepted format', () => {
+    expect(formatDecimal(hanoi)).toBe('21.028500, 105.854200');
+    expect(formatDMS(hanoi)).toBe('21°01\'42.6"N 105°51\'15.1"E');
+    expect(formatDMS([-33.85, -0.0001])).toBe('33°51\'00.0"S 0°00\'00.4"W');
+    expect(formatDMS([10.99999, 20])).toBe('11°00\'00.0"N 20°00\'00.0"E');
+  });
+
+  it('round-trips through the parser', () => {
+    [formatDecimal, formatDMS, formatPlusCode].forEach((format) => {
+      const parsed = parseCoordinates(format(hanoi));
+      expect(parsed.lat).toBeCloseTo(hanoi[0], 3);
+      expect(parsed.lng).toBeCloseTo(hanoi[1], 3);
+    });
+  });
+});
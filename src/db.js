@@ -0,0 +1,67 @@
+// Minimal promise wrapper around the app's IndexedDB database
+
+const DB_NAME = 'gps-map-app';
+const DB_VERSION = 2;
+
+// Object stores created by each schema version, in order
+const UPGRADES = [
+  (db) => {
+    db.createObjectStore('activeRide');
+    db.createObjectStore('activeRidePoints', { autoIncrement: true });
+  },
+  (db) => {
+    const rides = db.createObjectStore('rides', { keyPath: 'id' });
+    rides.createIndex('date', 'date');
+  },
+];
+
+let dbPromise = null;
+
+export function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'));
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = (e) => {
+        for (let v = e.oldVersion; v < DB_VERSION; v++) UPGRADES[v](request.result, request.transaction);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    // Allow a later call to retry after a failed open
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Runs fn(store) inside a transaction and resolves with its request's result
+export async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  const tx = db.transaction(storeName, mode);
+  const done = new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+  const result = fn(tx.objectStore(storeName));
+  const [value] = await Promise.all([result ? promisify(result) : undefined, done]);
+  return value;
+}
+
+export const idbGet = (storeName, key) => withStore(storeName, 'readonly', (store) => store.get(key));
+export const idbGetAll = (storeName) => withStore(storeName, 'readonly', (store) => store.getAll());
+export const idbPut = (storeName, value, key) => withStore(storeName, 'readwrite', (store) => store.put(value, key));
+export const idbAdd = (storeName, value) => withStore(storeName, 'readwrite', (store) => store.add(value));
+export const idbClear = (storeName) => withStore(storeName, 'readwrite', (store) => store.clear());
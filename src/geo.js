@@ -0,0 +1,45 @@
+// Shared geographic helpers used by ride tracking, stats and exports
+
+// Great-circle distance in metres between two lat/lng pairs
+export function haversineDistance(lat1, lon1, lat2, lon2) {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const R = 6371e3; // metres
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Total length in metres of a list of [lat, lng] positions
+export function pathDistance(positions) {
+  let total = 0;
+  for (let i = 1; i < positions.length; i++) {
+    total += haversineDistance(
+      positions[i - 1][0],
+      positions[i - 1][1],
+      positions[i][0],
+      positions[i][1]
+    );
+  }
+  return total;
+}
+
+// The [lat, lng] reached by travelling distance metres from a point on a bearing (degrees)
+export function destinationPoint(lat, lng, bearing, distance) {
+  const toRad = (x) => (x * Math.PI) / 180;
+  const toDeg = (x) => (x * 180) / Math.PI;
+  const R = 6371e3; // metres
+  const delta = distance / R;
+  const theta = toRad(bearing);
+  const phi1 = toRad(lat);
+  const phi2 = Math.asin(Math.sin(phi1) * Math.cos(delta) + Math.cos(phi1) * Math.sin(delta) * Math.cos(theta));
+  const lambda2 = toRad(lng) + Math.atan2(
+    Math.sin(theta) * Math.sin(delta) * Math.cos(phi1),
+    Math.cos(delta) - Math.sin(phi1) * Math.sin(phi2)
+  );
+  return [toDeg(phi2), toDeg(lambda2)];
+}
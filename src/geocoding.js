@@ -0,0 +1,415 @@
+// Geocoding providers. Each adapter answers search(query, options) with
+// normalized suggestions:
+//   { id, label, name, address, lat, lng, provider }
+// lat/lng are null when the provider needs a second lookup (Google's
+// autocomplete); resolve(suggestion) fills them in. reverse([lat, lng]) answers
+// with the nearest address in the same shape, or null when there is none.
+//
+// Search options bias the results: country (ISO 3166 alpha-2), language and
+// bounds ({ south, west, north, east }, normally the visible map).
+
+export const DEFAULT_TIMEOUT = 8000; // ms
+const LIMIT = 5;
+const CACHE_SIZE = 100;
+// Reverse lookups closer than ~10 m share a cache entry
+const REVERSE_PRECISION = 4;
+
+export const GEOCODING_ERRORS = {
+  RATE_LIMITED: 'rate-limited',
+  NETWORK: 'network',
+  INVALID_TOKEN: 'invalid-token',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  REQUEST_FAILED: 'request-failed',
+};
+
+const ERROR_MESSAGES = {
+  [GEOCODING_ERRORS.RATE_LIMITED]: 'Too many searches. Try again in a moment.',
+  [GEOCODING_ERRORS.NETWORK]: 'Network error. Check your connection and try again.',
+  [GEOCODING_ERRORS.INVALID_TOKEN]: 'The search service rejected the API key.',
+  [GEOCODING_ERRORS.TIMEOUT]: 'The search service took too long to respond.',
+  [GEOCODING_ERRORS.CANCELLED]: 'The search was cancelled.',
+  [GEOCODING_ERRORS.REQUEST_FAILED]: 'Failed to fetch suggestions.',
+};
+
+export class GeocodingError extends Error {
+  constructor(code, provider, message = ERROR_MESSAGES[code]) {
+    super(message);
+    this.name = 'GeocodingError';
+    this.code = code;
+    this.provider = provider;
+  }
+}
+
+// Fetches JSON with a timeout and an optional caller AbortSignal, turning every
+// failure into a GeocodingError
+async function fetchJson(provider, url, { signal = null, timeout = DEFAULT_TIMEOUT } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', cancel);
+  }
+  const failed = (code) => new GeocodingError(code, provider);
+  try {
+    let response;
+    try {
+      response = await fetch(url, { signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw failed(GEOCODING_ERRORS.TIMEOUT);
+      throw failed(controller.signal.aborted ? GEOCODING_ERRORS.CANCELLED : GEOCODING_ERRORS.NETWORK);
+    }
+    if (response.status === 429) throw failed(GEOCODING_ERRORS.RATE_LIMITED);
+    if (response.status === 401 || response.status === 403) throw failed(GEOCODING_ERRORS.INVALID_TOKEN);
+    if (!response.ok) throw failed(GEOCODING_ERRORS.REQUEST_FAILED);
+    try {
+      return await response.json();
+    } catch (err) {
+      throw failed(controller.signal.aborted ? GEOCODING_ERRORS.CANCELLED : GEOCODING_ERRORS.REQUEST_FAILED);
+    }
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+const boundsCenter = ({ south, west, north, east }) => [(south + north) / 2, (west + east) / 2];
+
+// "Name, rest, of, address" -> { name, address }
+function splitLabel(label) {
+  const [name, ...rest] = label.split(', ');
+  return { name, address: rest.join(', ') };
+}
+
+export function createNominatimProvider({ baseUrl = 'https://nominatim.openstreetmap.org' } = {}) {
+  const id = 'nominatim';
+  return {
+    id,
+    label: 'OpenStreetMap Nominatim',
+    // The public server's usage policy allows one request per second
+    minInterval: baseUrl === 'https://nominatim.openstreetmap.org' ? 1000 : 0,
+    async search(query, { country, language, bounds, signal } = {}) {
+      const params = new URLSearchParams({ format: 'jsonv2', q: query, addressdetails: '1', limit: String(LIMIT) });
+      if (country) params.set('countrycodes', country.toLowerCase());
+      if (language) params.set('accept-language', language);
+      // Without bounded=1 the viewbox only ranks results, it doesn't filter them
+      if (bounds) params.set('viewbox', [bounds.west, bounds.north, bounds.east, bounds.south].join(','));
+      const data = await fetchJson(id, `${baseUrl}/search?${params}`, { signal });
+      return data.map(nominatimPlace);
+    },
+    async reverse([lat, lng], { language, signal } = {}) {
+      const params = new URLSearchParams({ format: 'jsonv2', lat: String(lat), lon: String(lng), zoom: '18' });
+      if (language) params.set('accept-language', language);
+      const data = await fetchJson(id, `${baseUrl}/reverse?${params}`, { signal });
+      // { error: 'Unable to geocode' } in the middle of the sea
+      return data.error ? null : nominatimPlace(data);
+    },
+  };
+}
+
+function nominatimPlace(place) {
+  return {
+    id: `nominatim:${place.place_id}`,
+    label: place.display_name,
+    ...splitLabel(place.display_name),
+    ...(place.name ? { name: place.name } : {}),
+    lat: parseFloat(place.lat),
+    lng: parseFloat(place.lon),
+    provider: 'nominatim',
+  };
+}
+
+// Photon only knows a few languages and can't filter by country, so other
+// languages fall back to local names and countries are filtered here
+const PHOTON_LANGUAGES = ['en', 'de', 'fr', 'it'];
+
+function photonLabel(p) {
+  const street = [p.housenumber, p.street].filter(Boolean).join(' ');
+  const parts = [p.name, street, p.city || p.town || p.village, p.state, p.country].filter(Boolean);
+  return parts.filter((part, idx) => parts.indexOf(part) === idx).join(', ');
+}
+
+export function createPhotonProvider({ baseUrl = 'https://photon.komoot.io' } = {}) {
+  const id = 'photon';
+  return {
+    id,
+    label: 'Photon',
+    async search(query, { country, language, bounds, signal } = {}) {
+      const params = new URLSearchParams({ q: query, limit: String(country ? LIMIT * 3 : LIMIT) });
+      const lang = language && language.slice(0, 2).toLowerCase();
+      if (PHOTON_LANGUAGES.includes(lang)) params.set('lang', lang);
+      if (bounds) {
+        const [lat, lon] = boundsCenter(bounds);
+        params.set('lat', String(lat));
+        params.set('lon', String(lon));
+      }
+      const data = await fetchJson(id, `${baseUrl}/api/?${params}`, { signal });
+      return data.features
+        .filter((f) => !country || (f.properties.countrycode || '').toLowerCase() === country.toLowerCase())
+        .slice(0, LIMIT)
+        .map(photonPlace);
+    },
+    async reverse([lat, lng], { language, signal } = {}) {
+      const params = new URLSearchParams({ lat: String(lat), lon: String(lng), limit: '1' });
+      const lang = language && language.slice(0, 2).toLowerCase();
+      if (PHOTON_LANGUAGES.includes(lang)) params.set('lang', lang);
+      const data = await fetchJson(id, `${baseUrl}/reverse?${params}`, { signal });
+      return data.features.length ? photonPlace(data.features[0]) : null;
+    },
+  };
+}
+
+function photonPlace(feature) {
+  const label = photonLabel(feature.properties);
+  return {
+    id: `photon:${feature.properties.osm_type}${feature.properties.osm_id}`,
+    label,
+    ...splitLabel(label),
+    lat: feature.geometry.coordinates[1],
+    lng: feature.geometry.coordinates[0],
+    provider: 'photon',
+  };
+}
+
+// Google's web service doesn't allow browser CORS requests, so calls go
+// through the app's /proxy endpoint
+export function createGoogleProvider({ apiKey, proxyUrl = '/proxy?url=' }) {
+  const id = 'google';
+  const proxied = (url) => `${proxyUrl}${encodeURIComponent(url)}`;
+  // Groups the autocomplete and details requests of one search for billing
+  let sessionToken = null;
+  return {
+    id,
+    label: 'Google Places',
+    async search(query, { country, language, bounds, signal } = {}) {
+      if (!apiKey) throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      sessionToken = sessionToken || Math.random().toString(36).substring(2);
+      const params = new URLSearchParams({ input: query, types: 'geocode', key: apiKey, sessiontoken: sessionToken });
+      if (country) params.set('components', `country:${country.toLowerCase()}`);
+      if (language) params.set('language', language);
+      if (bounds) params.set('locationbias', `rectangle:${bounds.south},${bounds.west}|${bounds.north},${bounds.east}`);
+      const data = await fetchJson(id, proxied(`https://maps.googleapis.com/maps/api/place/autocomplete/json?${params}`), { signal });
+      if (data.status === 'REQUEST_DENIED') throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      if (data.status === 'OVER_QUERY_LIMIT') throw new GeocodingError(GEOCODING_ERRORS.RATE_LIMITED, id);
+      return (data.predictions || []).slice(0, LIMIT).map((pred) => ({
+        id: `${id}:${pred.place_id}`,
+        label: pred.description,
+        name: pred.structured_formatting ? pred.structured_formatting.main_text : splitLabel(pred.description).name,
+        address: pred.structured_formatting ? pred.structured_formatting.secondary_text || '' : splitLabel(pred.description).address,
+        lat: null,
+        lng: null,
+        provider: id,
+        placeId: pred.place_id,
+      }));
+    },
+    async resolve(suggestion, { signal } = {}) {
+      const params = new URLSearchParams({ placeid: suggestion.placeId, fields: 'geometry', key: apiKey });
+      if (sessionToken) params.set('sessiontoken', sessionToken);
+      // The details request ends the billing session
+      sessionToken = null;
+      const data = await fetchJson(id, proxied(`https://maps.googleapis.com/maps/api/place/details/json?${params}`), { signal });
+      if (!data.result || !data.result.geometry) throw new GeocodingError(GEOCODING_ERRORS.REQUEST_FAILED, id);
+      const { lat, lng } = data.result.geometry.location;
+      return { ...suggestion, lat, lng };
+    },
+    async reverse([lat, lng], { language, signal } = {}) {
+      if (!apiKey) throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      const params = new URLSearchParams({ latlng: `${lat},${lng}`, key: apiKey });
+      if (language) params.set('language', language);
+      const data = await fetchJson(id, proxied(`https://maps.googleapis.com/maps/api/geocode/json?${params}`), { signal });
+      if (data.status === 'REQUEST_DENIED') throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      if (data.status === 'OVER_QUERY_LIMIT') throw new GeocodingError(GEOCODING_ERRORS.RATE_LIMITED, id);
+      const [result] = data.results || [];
+      if (!result) return null;
+      return {
+        id: `${id}:${result.place_id}`,
+        label: result.formatted_address,
+        ...splitLabel(result.formatted_address),
+        lat: result.geometry.location.lat,
+        lng: result.geometry.location.lng,
+        provider: id,
+      };
+    },
+  };
+}
+
+export function createMapboxGeocoder({ token }) {
+  const id = 'mapbox';
+  return {
+    id,
+    label: 'Mapbox',
+    async search(query, { country, language, bounds, signal } = {}) {
+      if (!token) throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      const params = new URLSearchParams({ access_token: token, autocomplete: 'true', limit: String(LIMIT) });
+      if (country) params.set('country', country.toLowerCase());
+      if (language) params.set('language', language);
+      if (bounds) {
+        const [lat, lng] = boundsCenter(bounds);
+        params.set('proximity', `${lng},${lat}`);
+      }
+      const url = `https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(query)}.json?${params}`;
+      const data = await fetchJson(id, url, { signal });
+      return data.features.map(mapboxPlace);
+    },
+    async reverse([lat, lng], { language, signal } = {}) {
+      if (!token) throw new GeocodingError(GEOCODING_ERRORS.INVALID_TOKEN, id);
+      const params = new URLSearchParams({ access_token: token });
+      if (language) params.set('language', language);
+      const data = await fetchJson(id, `https://api.mapbox.com/geocoding/v5/mapbox.places/${lng},${lat}.json?${params}`, { signal });
+      // Features run from the most specific (address, POI) to the country
+      return data.features.length ? mapboxPlace(data.features[0]) : null;
+    },
+  };
+}
+
+function mapboxPlace(feature) {
+  return {
+    id: `mapbox:${feature.id}`,
+    label: feature.place_name,
+    name: feature.text,
+    address: splitLabel(feature.place_name).address,
+    lat: feature.center[1],
+    lng: feature.center[0],
+    provider: 'mapbox',
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  nominatim: createNominatimProvider,
+  photon: createPhotonProvider,
+  google: createGoogleProvider,
+  mapbox: createMapboxGeocoder,
+};
+
+// Map-backed cache that drops the least recently used entry beyond size
+function lruCache(size) {
+  const entries = new Map();
+  return {
+    get(key) {
+      if (!entries.has(key)) return undefined;
+      const value = entries.get(key);
+      // Most recently used last
+      entries.delete(key);
+      entries.set(key, value);
+      return value;
+    },
+    set(key, value) {
+      entries.set(key, value);
+      if (entries.size > size) entries.delete(entries.keys().next().value);
+    },
+  };
+}
+
+// { provider: 'nominatim' | 'photon' | 'google' | 'mapbox', country, language, ...adapter options }
+// country and language become defaults for every search. Results are cached
+// per query (the map bounds only rank results, so they aren't part of the key);
+// cached(query) returns them without a request. resolve() is a no-op for
+// providers whose suggestions already have coordinates. Reverse lookups are
+// cached by rounded position and run one at a time, at most one per
+// minInterval, since they come in bursts (e.g. every ride in the history).
+export function createGeocoder({ provider, country = null, language = null, ...options }) {
+  const factory = PROVIDER_FACTORIES[provider];
+  if (!factory) throw new Error(`Unknown geocoding provider "${provider}"`);
+  const adapter = factory(options);
+  const minInterval = adapter.minInterval || 0;
+  const searchCache = lruCache(CACHE_SIZE);
+  const reverseCache = lruCache(CACHE_SIZE * 2);
+  const searchKey = (query, searchOptions) => {
+    const bias = { country, language, ...searchOptions };
+    return [query.trim().toLowerCase(), bias.country, bias.language].join('|');
+  };
+  const cached = (query, searchOptions = {}) => searchCache.get(searchKey(query, searchOptions));
+  let reverseQueue = Promise.resolve();
+  let lastReverse = 0;
+  return {
+    id: adapter.id,
+    label: adapter.label,
+    minInterval,
+    cached,
+    async search(query, searchOptions = {}) {
+      const hit = cached(query, searchOptions);
+      if (hit) return hit;
+      const results = await adapter.search(query.trim(), { country, language, ...searchOptions });
+      searchCache.set(searchKey(query, searchOptions), results);
+      return results;
+    },
+    resolve: async (suggestion, resolveOptions) =>
+      suggestion.lat !== null && suggestion.lng !== null ? suggestion : adapter.resolve(suggestion, resolveOptions),
+    reverse([lat, lng], reverseOptions = {}) {
+      const key = [lat.toFixed(REVERSE_PRECISION), lng.toFixed(REVERSE_PRECISION), reverseOptions.language || language].join('|');
+      const hit = reverseCache.get(key);
+      if (hit !== undefined) return Promise.resolve(hit);
+      const lookup = reverseQueue.then(async () => {
+        // An identical lookup may have finished while this one waited
+        const done = reverseCache.get(key);
+        if (done !== undefined) return done;
+        const wait = lastReverse + minInterval - Date.now();
+        if (wait > 0) await new Promise((resolve) => setTimeout(resolve, wait));
+        lastReverse = Date.now();
+        const place = await adapter.reverse([lat, lng], { language, ...reverseOptions });
+        reverseCache.set(key, place);
+        return place;
+      });
+      // Keep the queue going after a failed lookup
+      reverseQueue = lookup.catch(() => {});
+      return lookup;
+    },
+  };
+}
+
+// Reads REACT_APP_GEOCODER (defaulting to Google Places when a key is set and
+// Nominatim otherwise), REACT_APP_GEOCODER_COUNTRY and REACT_APP_GEOCODER_LANGUAGE
+export function geocoderConfigFromEnv(env = process.env) {
+  let provider = env.REACT_APP_GEOCODER || (env.REACT_APP_GOOGLE_API_KEY ? 'google' : 'nominatim');
+  if (!PROVIDER_FACTORIES[provider]) {
+    // A typo shouldn't take the whole app down on load
+    console.warn(`Unknown geocoding provider "${provider}", using nominatim`);
+    provider = 'nominatim';
+  }
+  const bias = {
+    country: env.REACT_APP_GEOCODER_COUNTRY || null,
+    language: env.REACT_APP_GEOCODER_LANGUAGE || null,
+  };
+  switch (provider) {
+    case 'google':
+      return { provider, ...bias, apiKey: env.REACT_APP_GOOGLE_API_KEY };
+    case 'mapbox':
+      return { provider, ...bias, token: env.REACT_APP_MAPBOX_TOKEN };
+    default:
+      return { provider, ...bias };
+  }
+}
+
+// Folds case and diacritics one character at a time, so indexes in the folded
+// string line up with the original ("Hồ" matches "ho")
+function foldChars(text) {
+  return Array.from(text, (c) => {
+    const folded = c.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace('đ', 'd');
+    return folded.length === 1 ? folded : c.toLowerCase();
+  });
+}
+
+// Splits text into [{ text, match }] segments, marking every occurrence of
+// each word of the query
+export function highlightSegments(text, query) {
+  const chars = Array.from(text);
+  const folded = foldChars(text).join('');
+  const marked = new Array(chars.length).fill(false);
+  foldChars(query).join('').split(/\s+/).filter(Boolean).forEach((term) => {
+    for (let idx = folded.indexOf(term); idx !== -1; idx = folded.indexOf(term, idx + 1)) {
+      marked.fill(true, idx, idx + term.length);
+    }
+  });
+  const segments = [];
+  chars.forEach((c, idx) => {
+    const last = segments[segments.length - 1];
+    if (last && last.match === marked[idx]) last.text += c;
+    else segments.push({ text: c, match: marked[idx] });
+  });
+  return segments;
+}
@@ -0,0 +1,145 @@
+import { createGeocoder, geocoderConfigFromEnv, highlightSegments, GeocodingError, GEOCODING_ERRORS } from './geocoding';
+
+const bounds = { south: 21, west: 105.8, north: 21.1, east: 105.9 };
+
+function mockFetch(body, { ok = true, status = 200 } = {}) {
+  global.fetch = jest.fn().mockResolvedValue({ ok, status, json: () => Promise.resolve(body) });
+}
+
+const requestedParams = () => new URL(global.fetch.mock.calls[0][0], 'http://localhost').searchParams;
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('Nominatim', () => {
+  it('normalizes places and passes the bias on', async () => {
+    mockFetch([{ place_id: 42, name: 'Hoan Kiem Lake', display_name: 'Hoan Kiem Lake, Hang Trong, Hanoi, Vietnam', lat: '21.0288', lon: '105.8525' }]);
+    const geocoder = createGeocoder({ provider: 'nominatim', country: 'VN', language: 'vi' });
+    const [place] = await geocoder.search('hoan kiem', { bounds });
+    const params = requestedParams();
+    expect(params.get('countrycodes')).toBe('vn');
+    expect(params.get('accept-language')).toBe('vi');
+    expect(params.get('viewbox')).toBe('105.8,21.1,105.9,21');
+    expect(place).toEqual({
+      id: 'nominatim:42',
+      label: 'Hoan Kiem Lake, Hang Trong, Hanoi, Vietnam',
+      name: 'Hoan Kiem Lake',
+      address: 'Hang Trong, Hanoi, Vietnam',
+      lat: 21.0288,
+      lng: 105.8525,
+      provider: 'nominatim',
+    });
+    expect(await geocoder.resolve(place)).toBe(place);
+  });
+
+  it('reverse geocodes once per nearby position', async () => {
+    mockFetch({ place_id: 7, display_name: '39, Nguyen Huu Huan, Hanoi, Vietnam', lat: '21.0331', lon: '105.8540' });
+    const geocoder = createGeocoder({ provider: 'nominatim', baseUrl: 'http://localhost:8080' });
+    const place = await geocoder.reverse([21.03312, 105.85401]);
+    expect(requestedParams().get('lat')).toBe('21.03312');
+    expect(place.label).toBe('39, Nguyen Huu Huan, Hanoi, Vietnam');
+    // ~2 m away
+    expect(await geocoder.reverse([21.03314, 105.85402])).toBe(place);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    mockFetch({ error: 'Unable to geocode' });
+    expect(await geocoder.reverse([0, -150])).toBeNull();
+  });
+
+  it('types HTTP failures', async () => {
+    mockFetch({}, { ok: false, status: 429 });
+    const error = await createGeocoder({ provider: 'nominatim' }).search('x').catch((err) => err);
+    expect(error).toBeInstanceOf(GeocodingError);
+    expect(error.code).toBe(GEOCODING_ERRORS.RATE_LIMITED);
+  });
+});
+
+describe('Photon', () => {
+  it('filters by country and skips unsupported languages', async () => {
+    mockFetch({
+      features: [
+        { geometry: { coordinates: [105.85, 21.03] }, properties: { osm_type: 'N', osm_id: 1, name: 'Cafe Giang', street: 'Nguyen Huu Huan', housenumber: '39', city: 'Hanoi', country: 'Vietnam', countrycode: 'VN' } },
+        { geometry: { coordinates: [2.35, 48.85] }, properties: { osm_type: 'N', osm_id: 2, name: 'Cafe Paris', city: 'Paris', country: 'France', countrycode: 'FR' } },
+      ],
+    });
+    const results = await createGeocoder({ provider: 'photon', country: 'vn', language: 'vi' }).search('cafe', { bounds });
+    const params = requestedParams();
+    expect(params.get('lang')).toBeNull();
+    expect(params.get('lat')).toBe('21.05');
+    expect(results).toHaveLength(1);
+    expect(results[0]).toMatchObject({ name: 'Cafe Giang', address: '39 Nguyen Huu Huan, Hanoi, Vietnam', lat: 21.03, lng: 105.85 });
+  });
+});
+
+describe('Google Places', () => {
+  it('resolves coordinates with a details request', async () => {
+    mockFetch({ status: 'OK', predictions: [{ place_id: 'abc', description: 'Hanoi Opera House, Hanoi, Vietnam', structured_formatting: { main_text: 'Hanoi Opera House', secondary_text: 'Hanoi, Vietnam' } }] });
+    const geocoder = createGeocoder({ provider: 'google', apiKey: 'key', country: 'vn' });
+    const [prediction] = await geocoder.search('opera', { bounds });
+    const autocomplete = new URL(decodeURIComponent(global.fetch.mock.calls[0][0].replace('/proxy?url=', '')));
+    expect(autocomplete.searchParams.get('components')).toBe('country:vn');
+    expect(autocomplete.searchParams.get('locationbias')).toBe('rectangle:21,105.8|21.1,105.9');
+    expect(prediction).toMatchObject({ name: 'Hanoi Opera House', address: 'Hanoi, Vietnam', lat: null });
+
+    mockFetch({ status: 'OK', result: { geometry: { location: { lat: 21.0243, lng: 105.8576 } } } });
+    expect(await geocoder.resolve(prediction)).toMatchObject({ label: 'Hanoi Opera House, Hanoi, Vietnam', lat: 21.0243, lng: 105.8576 });
+  });
+});
+
+describe('Mapbox', () => {
+  it('biases towards the map centre', async () => {
+    mockFetch({ features: [{ id: 'poi.1', text: 'Long Bien Bridge', place_name: 'Long Bien Bridge, Hanoi, Vietnam', center: [105.86, 21.04] }] });
+    const [place] = await createGeocoder({ provider: 'mapbox', token: 'pk' }).search('long bien', { bounds });
+    expect(requestedParams().get('proximity')).toBe('105.85,21.05');
+    expect(place).toMatchObject({ id: 'mapbox:poi.1', name: 'Long Bien Bridge', address: 'Hanoi, Vietnam', lat: 21.04 });
+  });
+});
+
+describe('createGeocoder', () => {
+  it('caches results per query and bias', async () => {
+    mockFetch([{ place_id: 1, display_name: 'Hanoi, Vietnam', lat: '21', lon: '105.8' }]);
+    const geocoder = createGeocoder({ provider: 'nominatim' });
+    expect(geocoder.cached('hanoi')).toBeUndefined();
+    const results = await geocoder.search('Hanoi ', { bounds });
+    expect(geocoder.cached('hanoi')).toBe(results);
+    expect(await geocoder.search('hanoi', { bounds })).toBe(results);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    await geocoder.search('hanoi', { language: 'en' });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('throttles the public Nominatim server only', () => {
+    expect(createGeocoder({ provider: 'nominatim' }).minInterval).toBe(1000);
+    expect(createGeocoder({ provider: 'nominatim', baseUrl: 'http://localhost:8080' }).minInterval).toBe(0);
+    expect(createGeocoder({ provider: 'photon' }).minInterval).toBe(0);
+  });
+});
+
+describe('highlightSegments', () => {
+  it('marks each query word, ignoring case and diacritics', () => {
+    expect(highlightSegments('Hồ Tây, Hà Nội', 'ho noi')).toEqual([
+      { text: 'Hồ', match: true },
+      { text: ' Tây, Hà ', match: false },
+      { text: 'Nội', match: true },
+    ]);
+    expect(highlightSegments('Đồng Xuân', 'dong')).toEqual([{ text: 'Đồng', match: true }, { text: ' Xuân', match: false }]);
+  });
+});
+
+describe('geocoderConfigFromEnv', () => {
+  it('prefers Google when a key is set and reads the bias', () => {
+    expect(geocoderConfigFromEnv({ REACT_APP_GOOGLE_API_KEY: 'k' })).toEqual({ provider: 'google', apiKey: 'k', country: null, language: null });
+    expect(geocoderConfigFromEnv({ REACT_APP_GEOCODER_COUNTRY: 'vn', REACT_APP_GEOCODER_LANGUAGE: 'vi' }))
+      .toEqual({ provider: 'nominatim', country: 'vn', language: 'vi' });
+  });
+
+  it('uses Nominatim when the provider name is unknown', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const config = geocoderConfigFromEnv({ REACT_APP_GEOCODER: 'gogle', REACT_APP_GOOGLE_API_KEY: 'k' });
+    expect(config).toEqual({ provider: 'nominatim', country: null, language: null });
+    expect(createGeocoder(config).id).toBe('nominatim');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"gogle"'));
+    warn.mockRestore();
+  });
+});
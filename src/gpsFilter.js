@@ -0,0 +1,82 @@
+import { haversineDistance } from './geo';
+
+// Filter pipeline applied to raw GPS fixes before they reach ride stats:
+// accuracy threshold -> implausible speed rejection -> Kalman smoothing -> minimum movement.
+
+export const DEFAULT_FILTER_OPTIONS = {
+  maxAccuracy: 30, // metres; fixes reporting worse accuracy are dropped
+  maxSpeed: 25, // m/s (90 km/h); jumps implying a faster speed are outliers
+  smoothing: true,
+  processNoise: 3, // m/s; how quickly the Kalman filter trusts a moving target
+  minDistance: 5, // metres between recorded points
+};
+
+// Accuracy assumed for fixes that don't report one (e.g. demo or imported points)
+const DEFAULT_ACCURACY = 10;
+// After this many outliers in a row the previous fix is assumed to be the bad one
+const MAX_CONSECUTIVE_OUTLIERS = 5;
+
+export const REJECT_REASONS = {
+  accuracy: 'Low accuracy',
+  speed: 'Implausible speed',
+  stationary: 'Not moving',
+};
+
+/**
+ * Creates a stateful filter for one recording.
+ * process(point) returns { point } for an accepted (possibly smoothed) point
+ * or { rejected: reason } where reason is a REJECT_REASONS key.
+ */
+export function createGpsFilter(options = {}) {
+  const config = { ...DEFAULT_FILTER_OPTIONS, ...options };
+  let lastAccepted = null;
+  let outliers = 0;
+  // Kalman state: smoothed position, its variance (m²) and last update time
+  let kalman = null;
+
+  const smooth = (point) => {
+    const accuracy = Math.max(point.accuracy || DEFAULT_ACCURACY, 1);
+    if (!kalman) {
+      kalman = { lat: point.lat, lng: point.lng, variance: accuracy * accuracy, time: point.time };
+      return point;
+    }
+    const dt = Math.max(point.time - kalman.time, 0) / 1000;
+    const variance = kalman.variance + dt * config.processNoise * config.processNoise;
+    const gain = variance / (variance + accuracy * accuracy);
+    kalman = {
+      lat: kalman.lat + gain * (point.lat - kalman.lat),
+      lng: kalman.lng + gain * (point.lng - kalman.lng),
+      variance: (1 - gain) * variance,
+      time: point.time,
+    };
+    return { ...point, lat: kalman.lat, lng: kalman.lng, accuracy: Math.sqrt(kalman.variance) };
+  };
+
+  return {
+    process(point) {
+      if (point.accuracy !== null && point.accuracy !== undefined && point.accuracy > config.maxAccuracy) {
+        return { rejected: 'accuracy' };
+      }
+      if (lastAccepted) {
+        const dt = (point.time - lastAccepted.time) / 1000;
+        const jump = haversineDistance(lastAccepted.lat, lastAccepted.lng, point.lat, point.lng);
+        // Allow the jump to be explained by both fixes' uncertainty before calling it an outlier
+        const slack = (point.accuracy || DEFAULT_ACCURACY) + (lastAccepted.accuracy || DEFAULT_ACCURACY);
+        if (dt > 0 && (jump - slack) / dt > config.maxSpeed) {
+          outliers += 1;
+          if (outliers < MAX_CONSECUTIVE_OUTLIERS) return { rejected: 'speed' };
+          lastAccepted = null;
+          kalman = null;
+        }
+      }
+      outliers = 0;
+      const filtered = config.smoothing ? smooth(point) : point;
+      if (lastAccepted && haversineDistance(lastAccepted.lat, lastAccepted.lng, filtered.lat, filtered.lng) <= config.minDistance) {
+        return { rejected: 'stationary' };
+      }
+      lastAccepted = filtered;
+      return { point: filtered };
+    },
+  };
+}
+
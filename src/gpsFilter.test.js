@@ -0,0 +1,46 @@
+import { createGpsFilter } from './gpsFilter';
+
+const fix = (metresNorth, seconds, accuracy = 5) => ({
+  lat: 21 + metresNorth / 111195,
+  lng: 105.85,
+  time: seconds * 1000,
+  accuracy,
+  altitude: null,
+  speed: null,
+  heading: null,
+});
+
+test('rejects fixes above the accuracy threshold', () => {
+  const filter = createGpsFilter({ maxAccuracy: 20 });
+  expect(filter.process(fix(0, 0, 50))).toEqual({ rejected: 'accuracy' });
+  expect(filter.process(fix(0, 0, 10)).point).toBeDefined();
+});
+
+test('rejects jumps faster than the maximum plausible speed', () => {
+  const filter = createGpsFilter({ smoothing: false });
+  filter.process(fix(0, 0));
+  expect(filter.process(fix(2000, 10))).toEqual({ rejected: 'speed' });
+  expect(filter.process(fix(50, 10)).point).toBeDefined();
+});
+
+test('recovers when the first accepted fix was the outlier', () => {
+  const filter = createGpsFilter({ smoothing: false });
+  filter.process(fix(5000, 0));
+  for (let i = 1; i < 5; i++) expect(filter.process(fix(i * 10, i)).rejected).toBe('speed');
+  expect(filter.process(fix(50, 5)).point).toBeDefined();
+});
+
+test('drops stationary jitter', () => {
+  const filter = createGpsFilter({ smoothing: false });
+  filter.process(fix(0, 0));
+  expect(filter.process(fix(3, 5))).toEqual({ rejected: 'stationary' });
+});
+
+test('smooths noisy fixes towards the running estimate', () => {
+  const filter = createGpsFilter({ minDistance: 0 });
+  filter.process(fix(0, 0, 5));
+  const { point } = filter.process(fix(40, 1, 30));
+  const moved = (point.lat - 21) * 111195;
+  expect(moved).toBeGreaterThan(0);
+  expect(moved).toBeLessThan(40);
+});
@@ -0,0 +1,43 @@
+import { TRAVEL_PROFILES } from './travelProfiles';
+import { destinationPoint } from './geo';
+import { RoutingError, ROUTING_ERRORS } from './routing';
+
+// "How far can I get in N minutes": reachable areas for a few time bands, from
+// the router's isochrone endpoint or, when none answers, a local estimate.
+
+// Bands in minutes; Mapbox allows at most four contours of up to 60 minutes
+export const ISOCHRONE_PRESETS = [
+  [10, 20, 30],
+  [15, 30, 45],
+  [20, 40, 60],
+];
+
+export const DEFAULT_ISOCHRONE_BANDS = ISOCHRONE_PRESETS[0];
+
+// Roads rarely run straight, so the straight-line reach is shorter than the distance ridden
+const DETOUR_FACTOR = 1.3;
+
+// Circles at the profile's typical speed, shrunk by the detour factor. Same
+// shape as a provider answer: { bands: [{ minutes, polygons }] }
+export function estimateIsochrone([lat, lng], minutes, profile, vertices = 48) {
+  const speed = TRAVEL_PROFILES[profile].speed;
+  return {
+    bands: [...minutes].sort((a, b) => a - b).map((band) => {
+      const radius = (speed * band * 60) / DETOUR_FACTOR;
+      const ring = Array.from({ length: vertices }, (_, i) => destinationPoint(lat, lng, (360 * i) / vertices, radius));
+      return { minutes: band, polygons: [[ring]] };
+    }),
+  };
+}
+
+// Asks the router first and falls back to the estimate when it can't answer.
+// Resolves to { bands, provider, estimated }; cancellation is passed on.
+export async function fetchIsochrone(router, { center, profile, minutes, signal }) {
+  try {
+    const result = await router.isochrone({ center, profile, minutes, signal });
+    return { ...result, estimated: false };
+  } catch (err) {
+    if (!(err instanceof RoutingError) || err.code === ROUTING_ERRORS.CANCELLED) throw err;
+    return { ...estimateIsochrone(center, minutes, profile), provider: null, estimated: true };
+  }
+}
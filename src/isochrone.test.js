@@ -0,0 +1,38 @@
+import { estimateIsochrone, fetchIsochrone } from './isochrone';
+import { createRouter, createRoutingProvider, RoutingError, ROUTING_ERRORS } from './routing';
+import { haversineDistance } from './geo';
+
+const center = [21.0285, 105.852];
+
+describe('estimateIsochrone', () => {
+  it('draws a circle per band at the profile speed, smallest first', () => {
+    const { bands } = estimateIsochrone(center, [20, 10], 'cycling', 12);
+    expect(bands.map((band) => band.minutes)).toEqual([10, 20]);
+    const [ring] = bands[0].polygons[0];
+    expect(ring).toHaveLength(12);
+    ring.forEach(([lat, lng]) => {
+      // 4.5 m/s for 10 minutes, shortened for detours
+      expect(haversineDistance(center[0], center[1], lat, lng)).toBeCloseTo((4.5 * 600) / 1.3, 0);
+    });
+  });
+});
+
+describe('fetchIsochrone', () => {
+  it('falls back to the estimate when no provider has isochrones', async () => {
+    const router = createRouter([createRoutingProvider({ provider: 'osrm' })]);
+    const result = await fetchIsochrone(router, { center, profile: 'walking', minutes: [10] });
+    expect(result.estimated).toBe(true);
+    expect(result.bands).toHaveLength(1);
+  });
+
+  it('uses the provider answer when there is one', async () => {
+    const bands = [{ minutes: 10, polygons: [] }];
+    const router = { isochrone: jest.fn().mockResolvedValue({ bands, provider: 'valhalla' }) };
+    expect(await fetchIsochrone(router, { center, profile: 'cycling', minutes: [10] })).toEqual({ bands, provider: 'valhalla', estimated: false });
+  });
+
+  it('passes cancellation on', async () => {
+    const router = { isochrone: jest.fn().mockRejectedValue(new RoutingError(ROUTING_ERRORS.CANCELLED, 'mapbox')) };
+    await expect(fetchIsochrone(router, { center, profile: 'cycling', minutes: [10] })).rejects.toMatchObject({ code: ROUTING_ERRORS.CANCELLED });
+  });
+});
@@ -0,0 +1,124 @@
+import { haversineDistance } from './geo';
+
+// Turn-by-turn helpers: normalizing router steps and tracking progress along a route
+
+const EARTH_RADIUS = 6371000; // meters
+
+// Rerouting defaults; the distance can be changed in the sidebar
+export const DEFAULT_NAVIGATION_SETTINGS = { offRouteDistance: 50, autoReroute: true };
+
+const DIRECTIONS = {
+  left: 'left',
+  right: 'right',
+  'slight left': 'slightly left',
+  'slight right': 'slightly right',
+  'sharp left': 'sharp left',
+  'sharp right': 'sharp right',
+  straight: 'straight',
+};
+
+// English instruction for an OSRM maneuver, which (unlike Mapbox) carries no text
+export function maneuverInstruction(maneuver, name = '', isLastLeg = true) {
+  const direction = DIRECTIONS[maneuver.modifier];
+  const onto = name ? ` onto ${name}` : '';
+  switch (maneuver.type) {
+    case 'depart':
+      return name ? `Start on ${name}` : 'Start';
+    case 'arrive':
+      return isLastLeg ? 'Arrive at your destination' : 'Arrive at your stop';
+    case 'roundabout':
+    case 'rotary':
+      return maneuver.exit ? `At the roundabout, take exit ${maneuver.exit}${onto}` : `Enter the roundabout${onto}`;
+    case 'fork':
+      return `Keep ${direction || 'straight'}${onto}`;
+    case 'merge':
+      return `Merge${direction ? ` ${direction}` : ''}${onto}`;
+    case 'turn':
+    case 'end of road':
+    case 'on ramp':
+    case 'off ramp':
+      if (maneuver.modifier === 'uturn') return `Make a U-turn${onto}`;
+      if (!direction || direction === 'straight') return `Go straight${onto}`;
+      return `Turn ${direction}${onto}`;
+    default:
+      return `Continue${onto}`;
+  }
+}
+
+// Flattens the steps of a route's legs into
+// [{ instruction, distance, location: [lat, lng], type, modifier }]
+export function normalizeSteps(legs) {
+  return legs.flatMap((leg, legIdx) =>
+    (leg.steps || []).map((step) => ({
+      instruction: step.maneuver.instruction || maneuverInstruction(step.maneuver, step.name, legIdx === legs.length - 1),
+      distance: step.distance,
+      location: [step.maneuver.location[1], step.maneuver.location[0]],
+      type: step.maneuver.type,
+      modifier: step.maneuver.modifier || null,
+    }))
+  );
+}
+
+// Nearest point on the route to `position`: how far along the route it is (m)
+// and how far the position is from the route (m)
+export function routeProgress(route, position) {
+  const [lat, lng] = position;
+  const cos = Math.cos((lat * Math.PI) / 180);
+  // Local flat projection around the position; plenty accurate at route scale
+  const project = ([pLat, pLng]) => [
+    ((pLng - lng) * Math.PI * EARTH_RADIUS * cos) / 180,
+    ((pLat - lat) * Math.PI * EARTH_RADIUS) / 180,
+  ];
+  let best = { along: 0, offset: Infinity };
+  let travelled = 0;
+  for (let i = 1; i < route.length; i++) {
+    const [ax, ay] = project(route[i - 1]);
+    const [bx, by] = project(route[i]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq > 0 ? Math.min(1, Math.max(0, -(ax * dx + ay * dy) / lengthSq)) : 0;
+    const offset = Math.hypot(ax + t * dx, ay + t * dy);
+    const segment = haversineDistance(route[i - 1][0], route[i - 1][1], route[i][0], route[i][1]);
+    if (offset < best.offset) best = { along: travelled + t * segment, offset };
+    travelled += segment;
+  }
+  return best;
+}
+
+// The step being followed at `position` and the distance (m) to the next maneuver
+export function navigationState(steps, route, position) {
+  if (!steps.length || route.length < 2) return null;
+  const { along, offset } = routeProgress(route, position);
+  let routeLength = 0;
+  for (let i = 1; i < route.length; i++) {
+    routeLength += haversineDistance(route[i - 1][0], route[i - 1][1], route[i][0], route[i][1]);
+  }
+  // Router step lengths and our polyline length differ slightly; scale to match
+  const stepTotal = steps.reduce((sum, step) => sum + step.distance, 0);
+  const scale = stepTotal > 0 ? routeLength / stepTotal : 1;
+  let start = 0;
+  for (let i = 0; i < steps.length; i++) {
+    const end = start + steps[i].distance * scale;
+    if (along < end || i === steps.length - 1) {
+      return { stepIndex: i, distanceToNext: Math.max(0, end - along), offset };
+    }
+    start = end;
+  }
+  return null;
+}
+
+// Stops the rider hasn't reached yet, judged by their position along the route
+export function stopsAhead(route, stops, position) {
+  const { along } = routeProgress(route, position);
+  return stops.filter((stop) => routeProgress(route, stop).along > along);
+}
+
+// Routes from `position` through the stops still ahead. Resolves to those stops
+// once fetchRoute reports the new route is shown, or null if it failed, so the
+// caller can keep its current stops.
+export async function reroute(route, stops, position, fetchRoute) {
+  const remaining = stopsAhead(route, stops, position);
+  const rerouted = await fetchRoute({ origin: position, stops: remaining });
+  return rerouted ? remaining : null;
+}
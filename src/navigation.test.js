@@ -0,0 +1,88 @@
+import { maneuverInstruction, normalizeSteps, routeProgress, navigationState, stopsAhead, reroute } from './navigation';
+import { haversineDistance } from './geo';
+
+// Two straight legs: 0.01° north, then 0.01° east
+const route = [[21, 105.8], [21.005, 105.8], [21.01, 105.8], [21.01, 105.805], [21.01, 105.81]];
+const north = haversineDistance(21, 105.8, 21.01, 105.8);
+const east = haversineDistance(21.01, 105.8, 21.01, 105.81);
+
+const osrmLegs = [{
+  steps: [
+    { distance: north, name: 'Main St', maneuver: { type: 'depart', location: [105.8, 21] } },
+    { distance: east, name: 'Lake Rd', maneuver: { type: 'turn', modifier: 'right', location: [105.8, 21.01] } },
+    { distance: 0, name: '', maneuver: { type: 'arrive', location: [105.81, 21.01] } },
+  ],
+}];
+
+describe('maneuverInstruction', () => {
+  it('describes common OSRM maneuvers', () => {
+    expect(maneuverInstruction({ type: 'turn', modifier: 'slight left' }, 'Oak Ave')).toBe('Turn slightly left onto Oak Ave');
+    expect(maneuverInstruction({ type: 'roundabout', exit: 2 }, '')).toBe('At the roundabout, take exit 2');
+    expect(maneuverInstruction({ type: 'turn', modifier: 'uturn' })).toBe('Make a U-turn');
+    expect(maneuverInstruction({ type: 'arrive' }, '', false)).toBe('Arrive at your stop');
+  });
+});
+
+describe('normalizeSteps', () => {
+  it('flattens legs and converts locations to lat/lng', () => {
+    const steps = normalizeSteps(osrmLegs);
+    expect(steps).toHaveLength(3);
+    expect(steps[1]).toMatchObject({ instruction: 'Turn right onto Lake Rd', location: [21.01, 105.8] });
+    expect(steps[2].instruction).toBe('Arrive at your destination');
+  });
+
+  it('prefers the instruction text Mapbox provides', () => {
+    const [step] = normalizeSteps([{ steps: [{ distance: 10, name: '', maneuver: { type: 'depart', instruction: 'Head north', location: [1, 2] } }] }]);
+    expect(step.instruction).toBe('Head north');
+  });
+});
+
+describe('routeProgress', () => {
+  it('projects a nearby position onto the route', () => {
+    const { along, offset } = routeProgress(route, [21.005, 105.8001]);
+    expect(along).toBeCloseTo(north / 2, -1);
+    expect(offset).toBeGreaterThan(5);
+    expect(offset).toBeLessThan(15);
+  });
+});
+
+describe('navigationState', () => {
+  const steps = normalizeSteps(osrmLegs);
+
+  it('finds the current step and the distance to the next turn', () => {
+    const state = navigationState(steps, route, [21.005, 105.8]);
+    expect(state.stepIndex).toBe(0);
+    expect(state.distanceToNext).toBeCloseTo(north / 2, -1);
+  });
+
+  it('moves on once the turn has been passed', () => {
+    const state = navigationState(steps, route, [21.01, 105.807]);
+    expect(state.stepIndex).toBe(1);
+    expect(state.distanceToNext).toBeCloseTo(east * 0.3, -1);
+  });
+});
+
+describe('stopsAhead', () => {
+  it('drops stops that are already behind the rider', () => {
+    const passed = [21.005, 105.8];
+    const upcoming = [21.01, 105.805];
+    expect(stopsAhead(route, [passed, upcoming], [21.008, 105.8])).toEqual([upcoming]);
+  });
+});
+
+describe('reroute', () => {
+  const passed = [21.005, 105.8];
+  const upcoming = [21.01, 105.805];
+  const position = [21.008, 105.801];
+
+  it('routes from the position through the stops ahead', async () => {
+    const fetchRoute = jest.fn().mockResolvedValue(true);
+    expect(await reroute(route, [passed, upcoming], position, fetchRoute)).toEqual([upcoming]);
+    expect(fetchRoute).toHaveBeenCalledWith({ origin: position, stops: [upcoming] });
+  });
+
+  it('leaves the stops alone when the new route fails', async () => {
+    const fetchRoute = jest.fn().mockResolvedValue(false);
+    expect(await reroute(route, [passed, upcoming], position, fetchRoute)).toBeNull();
+  });
+});
@@ -0,0 +1,94 @@
+import { haversineDistance } from './geo';
+import { shortAddress } from './rideAddresses';
+
+// Saved places (Home, Work, favourite cafés) and recent searches, persisted in
+// localStorage. Functions take the current list and return the updated one,
+// writing it through.
+
+const SAVED_KEY = 'savedPlaces';
+const RECENT_KEY = 'recentSearches';
+
+export const MAX_RECENT_SEARCHES = 8;
+// Places closer than this (m) count as the same place
+const SAME_PLACE_DISTANCE = 25;
+
+function read(key) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key));
+    return Array.isArray(stored) ? stored : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function write(key, list) {
+  localStorage.setItem(key, JSON.stringify(list));
+  return list;
+}
+
+const samePlace = (a, [lat, lng]) => haversineDistance(a.lat, a.lng, lat, lng) < SAME_PLACE_DISTANCE;
+
+export const loadSavedPlaces = () => read(SAVED_KEY);
+export const loadRecentSearches = () => read(RECENT_KEY);
+
+export function findSavedPlace(places, position) {
+  return places.find((place) => samePlace(place, position)) || null;
+}
+
+// place: { lat, lng, label, name? }; the name defaults to the start of the address
+export function savePlace(places, { lat, lng, label = '', name }) {
+  if (findSavedPlace(places, [lat, lng])) return places;
+  const saved = {
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name || shortAddress(label) || `${lat.toFixed(5)}, ${lng.toFixed(5)}`,
+    label,
+    lat,
+    lng,
+  };
+  return write(SAVED_KEY, [...places, saved]);
+}
+
+export function renamePlace(places, id, name) {
+  return write(SAVED_KEY, places.map((place) => (place.id === id && name.trim() ? { ...place, name: name.trim() } : place)));
+}
+
+export function removePlace(places, id) {
+  return write(SAVED_KEY, places.filter((place) => place.id !== id));
+}
+
+// Most recent first, without repeats of the same place
+export function addRecentSearch(recents, { lat, lng, label, name }) {
+  const entry = { lat, lng, label, name: name || shortAddress(label, 1) };
+  return write(RECENT_KEY, [entry, ...recents.filter((r) => !samePlace(r, [lat, lng]))].slice(0, MAX_RECENT_SEARCHES));
+}
+
+export function clearRecentSearches() {
+  return write(RECENT_KEY, []);
+}
+
+// Saved places then recent searches as geocoder suggestions (see geocoding.js),
+// offered before anything is typed
+export function quickPickSuggestions(places, recents) {
+  return [
+    ...places.map((place) => ({
+      id: `saved:${place.id}`,
+      label: place.label || place.name,
+      name: place.name,
+      address: place.label !== place.name ? place.label : '',
+      lat: place.lat,
+      lng: place.lng,
+      provider: 'saved',
+    })),
+    ...recents
+      .filter((recent) => !findSavedPlace(places, [recent.lat, recent.lng]))
+      .map((recent) => ({
+        id: `recent:${recent.lat},${recent.lng}`,
+        label: recent.label,
+        name: recent.name,
+        address: recent.label !== recent.name ? recent.label : '',
+        lat: recent.lat,
+        lng: recent.lng,
+        provider: 'recent',
+      })),
+  ];
+}
@@ -0,0 +1,57 @@
+import {
+  loadSavedPlaces,
+  loadRecentSearches,
+  findSavedPlace,
+  savePlace,
+  renamePlace,
+  removePlace,
+  addRecentSearch,
+  quickPickSuggestions,
+  MAX_RECENT_SEARCHES,
+} from './places';
+
+const lake = { lat: 21.0288, lng: 105.8525, label: 'Hoan Kiem Lake, Hang Trong, Hanoi, Vietnam', name: 'Hoan Kiem Lake' };
+const office = { lat: 21.0368, lng: 105.8342, label: '2, Hung Vuong, Ba Dinh, Hanoi, Vietnam' };
+
+beforeEach(() => localStorage.clear());
+
+describe('saved places', () => {
+  it('saves, renames and removes places and persists them', () => {
+    let places = savePlace([], lake);
+    places = savePlace(places, office);
+    expect(places.map((p) => p.name)).toEqual(['Hoan Kiem Lake', '2, Hung Vuong']);
+    places = renamePlace(places, places[1].id, ' Work ');
+    expect(loadSavedPlaces().map((p) => p.name)).toEqual(['Hoan Kiem Lake', 'Work']);
+    places = removePlace(places, places[0].id);
+    expect(loadSavedPlaces()).toEqual(places);
+    expect(places).toHaveLength(1);
+  });
+
+  it('treats nearby positions as the same place', () => {
+    const places = savePlace([], lake);
+    // ~10 m away
+    expect(findSavedPlace(places, [21.0289, 105.8525])).toBe(places[0]);
+    expect(savePlace(places, { ...lake, lat: 21.0289 })).toBe(places);
+    expect(findSavedPlace(places, [office.lat, office.lng])).toBeNull();
+  });
+});
+
+describe('recent searches', () => {
+  it('keeps the latest searches first without repeats', () => {
+    let recents = addRecentSearch([], lake);
+    recents = addRecentSearch(recents, office);
+    recents = addRecentSearch(recents, lake);
+    expect(recents.map((r) => r.name)).toEqual(['Hoan Kiem Lake', '2']);
+    expect(loadRecentSearches()).toEqual(recents);
+    for (let i = 0; i < MAX_RECENT_SEARCHES + 2; i++) recents = addRecentSearch(recents, { lat: 10 + i, lng: 100, label: `Place ${i}` });
+    expect(recents).toHaveLength(MAX_RECENT_SEARCHES);
+  });
+
+  it('offers saved places before recent searches that are not saved', () => {
+    const places = savePlace([], lake);
+    const recents = addRecentSearch(addRecentSearch([], lake), office);
+    const picks = quickPickSuggestions(places, recents);
+    expect(picks.map((p) => p.provider)).toEqual(['saved', 'recent']);
+    expect(picks[0]).toMatchObject({ name: 'Hoan Kiem Lake', address: lake.label, lat: lake.lat });
+  });
+});
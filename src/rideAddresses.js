@@ -0,0 +1,34 @@
+// Start and end addresses of rides, reverse geocoded once and stored on the
+// ride record. null means not looked up yet, '' that the geocoder found nothing.
+
+export function needsAddresses(ride) {
+  return ride.positions.length > 0 && (ride.startAddress == null || ride.endAddress == null);
+}
+
+// Identifies a lookup: a ride whose endpoints move (trim, split, merge) needs a new one
+export function addressLookupKey(ride) {
+  const ends = [ride.positions[0], ride.positions[ride.positions.length - 1]];
+  return `${ride.id}@${ends.map(([lat, lng]) => `${lat},${lng}`).join(';')}`;
+}
+
+// Resolves to { startAddress, endAddress } using a geocoder from geocoding.js
+export async function lookupRideAddresses(geocoder, ride) {
+  const label = (place) => (place ? place.label : '');
+  const start = await geocoder.reverse(ride.positions[0]);
+  const end = await geocoder.reverse(ride.positions[ride.positions.length - 1]);
+  return { startAddress: label(start), endAddress: label(end) };
+}
+
+// "39, Nguyen Huu Huan, Hang Bac, Hoan Kiem, Hanoi, Vietnam" -> "39, Nguyen Huu Huan"
+export function shortAddress(label, parts = 2) {
+  return label ? label.split(', ').slice(0, parts).join(', ') : '';
+}
+
+// "Start → End" for display and exports, or '' before the lookup
+export function rideRouteLabel(ride, short = true) {
+  if (!ride.startAddress && !ride.endAddress) return '';
+  const format = short ? shortAddress : (label) => label;
+  const start = format(ride.startAddress) || 'Unknown place';
+  const end = format(ride.endAddress) || 'Unknown place';
+  return start === end ? start : `${start} → ${end}`;
+}
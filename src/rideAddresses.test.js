@@ -0,0 +1,28 @@
+import { needsAddresses, addressLookupKey, lookupRideAddresses, shortAddress, rideRouteLabel } from './rideAddresses';
+
+const ride = { id: 'r1', positions: [[21.0285, 105.852], [21.03, 105.86]], startAddress: null, endAddress: null };
+
+test('looks up both endpoints and records misses as empty', async () => {
+  const geocoder = {
+    reverse: jest.fn()
+      .mockResolvedValueOnce({ label: 'Hoan Kiem Lake, Hanoi, Vietnam' })
+      .mockResolvedValueOnce(null),
+  };
+  const addresses = await lookupRideAddresses(geocoder, ride);
+  expect(geocoder.reverse.mock.calls).toEqual([[[21.0285, 105.852]], [[21.03, 105.86]]]);
+  expect(addresses).toEqual({ startAddress: 'Hoan Kiem Lake, Hanoi, Vietnam', endAddress: '' });
+  expect(needsAddresses({ ...ride, ...addresses })).toBe(false);
+  expect(needsAddresses(ride)).toBe(true);
+});
+
+test('keys lookups by the ride endpoints', () => {
+  expect(addressLookupKey(ride)).toBe('r1@21.0285,105.852;21.03,105.86');
+  expect(addressLookupKey({ ...ride, positions: ride.positions.slice(0, 1) })).not.toBe(addressLookupKey(ride));
+});
+
+test('labels the route with short addresses', () => {
+  expect(shortAddress('39, Nguyen Huu Huan, Hang Bac, Hanoi')).toBe('39, Nguyen Huu Huan');
+  expect(rideRouteLabel({ startAddress: 'A St, Hanoi', endAddress: '' })).toBe('A St, Hanoi → Unknown place');
+  expect(rideRouteLabel({ startAddress: 'A St, Ba Dinh, Hanoi', endAddress: 'A St, Ba Dinh, Hanoi' }, false)).toBe('A St, Ba Dinh, Hanoi');
+  expect(rideRouteLabel(ride)).toBe('');
+});
@@ -0,0 +1,138 @@
+import { ridePoints, cumulativeDistances } from './rideStats';
+
+// Aggregations over the whole ride history for the statistics dashboard.
+// Periods and streaks use local calendar days.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rides shorter than this are ignored for speed records (GPS warm-up, mis-taps)
+const MIN_RECORD_DISTANCE = 500;
+
+export function dayKey(date) {
+  const d = new Date(date);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Date-only strings ("2024-05-07", as from <input type="date">) are local days, not UTC
+export function parseLocalDate(value) {
+  const match = typeof value === 'string' && /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(value);
+}
+
+function startOfDay(date) {
+  const d = parseLocalDate(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+// Weeks start on Monday
+export function startOfWeek(date) {
+  const d = startOfDay(date);
+  d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+}
+
+function startOfMonth(date) {
+  const d = startOfDay(date);
+  d.setDate(1);
+  return d;
+}
+
+// from/to are inclusive Date-compatible values; either may be null
+export function filterRidesByDate(rides, from, to) {
+  const fromTime = from ? startOfDay(from).getTime() : -Infinity;
+  const toTime = to ? startOfDay(to).getTime() + DAY_MS : Infinity;
+  return rides.filter((ride) => {
+    const time = new Date(ride.date).getTime();
+    return time >= fromTime && time < toTime;
+  });
+}
+
+const rideMovingTime = (ride) => (typeof ride.movingTime === 'number' ? ride.movingTime : ride.duration) || 0;
+
+// Totals per week or month, most recent first
+export function periodTotals(rides, period = 'week') {
+  const startOf = period === 'month' ? startOfMonth : startOfWeek;
+  const buckets = new Map();
+  rides.forEach((ride) => {
+    const start = startOf(ride.date);
+    const key = start.getTime();
+    if (!buckets.has(key)) buckets.set(key, { start, rides: 0, distance: 0, duration: 0 });
+    const bucket = buckets.get(key);
+    bucket.rides += 1;
+    bucket.distance += ride.distance || 0;
+    bucket.duration += rideMovingTime(ride);
+  });
+  return Array.from(buckets.values()).sort((a, b) => b.start - a.start);
+}
+
+// Shortest time (s) to cover `distance` metres anywhere within the ride, or null
+export function fastestSegment(ride, distance = 5000) {
+  const points = ridePoints(ride);
+  const distances = cumulativeDistances(points);
+  if (!distances.length || distances[distances.length - 1] < distance) return null;
+  let best = null;
+  let start = 0;
+  for (let end = 1; end < points.length; end++) {
+    // Keep the window as short as possible while still covering the distance
+    while (start + 1 < end && distances[end] - distances[start + 1] >= distance) start += 1;
+    if (distances[end] - distances[start] >= distance) {
+      const time = (points[end].time - points[start].time) / 1000;
+      if (best === null || time < best) best = time;
+    }
+  }
+  return best;
+}
+
+export function personalBests(rides) {
+  let longestRide = null;
+  let fastestAverage = null;
+  let fastest5k = null;
+  rides.forEach((ride) => {
+    if (!longestRide || ride.distance > longestRide.ride.distance) {
+      longestRide = { ride, value: ride.distance };
+    }
+    const time = rideMovingTime(ride);
+    if (ride.distance >= MIN_RECORD_DISTANCE && time > 0) {
+      const speed = ride.distance / time;
+      if (!fastestAverage || speed > fastestAverage.value) fastestAverage = { ride, value: speed };
+    }
+    const segment = fastestSegment(ride, 5000);
+    if (segment !== null && (!fastest5k || segment < fastest5k.value)) fastest5k = { ride, value: segment };
+  });
+  return { longestRide, fastestAverage, fastest5k };
+}
+
+// Consecutive days with at least one ride; the current streak may end today or yesterday
+export function rideStreaks(rides, today = new Date()) {
+  const days = Array.from(new Set(rides.map((ride) => startOfDay(ride.date).getTime()))).sort((a, b) => a - b);
+  let longest = 0;
+  let run = 0;
+  days.forEach((day, i) => {
+    // Rounding absorbs the 23/25 hour days around DST changes
+    run = i > 0 && Math.round((day - days[i - 1]) / DAY_MS) === 1 ? run + 1 : 1;
+    longest = Math.max(longest, run);
+  });
+  const lastDay = days.length ? days[days.length - 1] : null;
+  const gap = lastDay === null ? Infinity : Math.round((startOfDay(today).getTime() - lastDay) / DAY_MS);
+  return { current: gap <= 1 ? run : 0, longest };
+}
+
+// Distance ridden per local day, keyed by dayKey
+export function dailyDistances(rides) {
+  const totals = {};
+  rides.forEach((ride) => {
+    const key = dayKey(ride.date);
+    totals[key] = (totals[key] || 0) + (ride.distance || 0);
+  });
+  return totals;
+}
+
+// Weeks (Monday-first arrays of Dates) covering the days from `from` to `to`
+export function calendarWeeks(from, to) {
+  const weeks = [];
+  const end = startOfDay(to);
+  for (let weekStart = startOfWeek(from); weekStart <= end; weekStart = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + 7)) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + i)));
+  }
+  return weeks;
+}
@@ -0,0 +1,45 @@
+import { filterRidesByDate, periodTotals, personalBests, rideStreaks, fastestSegment } from './rideAggregates';
+
+const ride = (date, distance, duration, extra = {}) => ({ date: new Date(date).toISOString(), distance, duration, positions: [], ...extra });
+
+const rides = [
+  ride('2024-05-06T08:00:00', 10000, 1800),
+  ride('2024-05-07T08:00:00', 20000, 3000),
+  ride('2024-05-08T08:00:00', 5000, 600),
+  ride('2024-05-20T08:00:00', 3000, 900),
+];
+
+test('filters rides by inclusive date range', () => {
+  expect(filterRidesByDate(rides, '2024-05-07', '2024-05-08')).toHaveLength(2);
+  expect(filterRidesByDate(rides, null, '2024-05-06')).toHaveLength(1);
+});
+
+test('totals rides per Monday-based week', () => {
+  const weeks = periodTotals(rides, 'week');
+  expect(weeks).toHaveLength(2);
+  expect(weeks[1]).toMatchObject({ rides: 3, distance: 35000, duration: 5400 });
+  expect(periodTotals(rides, 'month')).toHaveLength(1);
+});
+
+test('finds longest and fastest rides', () => {
+  const { longestRide, fastestAverage } = personalBests(rides);
+  expect(longestRide.value).toBe(20000);
+  expect(fastestAverage.ride).toBe(rides[2]);
+});
+
+test('computes current and longest day streaks', () => {
+  expect(rideStreaks(rides, new Date('2024-05-21T12:00:00'))).toEqual({ current: 1, longest: 3 });
+  expect(rideStreaks(rides, new Date('2024-05-25T12:00:00')).current).toBe(0);
+});
+
+test('finds the fastest 5 km within a ride', () => {
+  // 12 points 1 km apart; the middle kilometres are ridden twice as fast
+  const step = 1001 / 111195;
+  let time = 0;
+  const points = Array.from({ length: 12 }, (_, i) => {
+    if (i > 0) time += i >= 4 && i <= 8 ? 120000 : 240000;
+    return { lat: 21 + i * step, lng: 105, time, accuracy: null, altitude: null, speed: null, heading: null };
+  });
+  const positions = points.map((p) => [p.lat, p.lng]);
+  expect(fastestSegment({ positions, points }, 5000)).toBeCloseTo(600, -1);
+});
@@ -0,0 +1,78 @@
+import { pathDistance } from './geo';
+import { ridePoints, movingTime } from './rideStats';
+import { createRideId } from './rideStore';
+
+// Editing operations on saved rides. Each returns new ride objects with
+// distance and duration recomputed from the remaining positions.
+
+// Rebuilds a ride's track and totals from `points` (as returned by ridePoints).
+// Per-point details are only kept when the original ride had them. The endpoints
+// may have moved, so their addresses are looked up again.
+function withPoints(ride, points, keepDetails) {
+  const positions = points.map((p) => [p.lat, p.lng]);
+  const first = points[0];
+  const last = points[points.length - 1];
+  const updated = {
+    ...ride,
+    positions,
+    distance: pathDistance(positions),
+    duration: Math.round((last.time - first.time) / 1000),
+    date: new Date(last.time).toISOString(),
+    startAddress: null,
+    endAddress: null,
+  };
+  if (keepDetails) {
+    updated.points = points;
+    updated.movingTime = movingTime(points);
+  } else {
+    delete updated.points;
+    delete updated.movingTime;
+  }
+  return updated;
+}
+
+// Keeps positions start..end (inclusive indexes)
+export function trimRide(ride, start, end) {
+  const points = ridePoints(ride);
+  if (start < 0 || end >= points.length || end - start < 1) {
+    throw new Error('A trimmed ride needs at least two points');
+  }
+  return withPoints(ride, points.slice(start, end + 1), Boolean(ride.points));
+}
+
+// Splits at `index`; the point is shared so neither half loses distance.
+// The first half keeps the ride's id, the second gets a new one.
+export function splitRide(ride, index) {
+  const points = ridePoints(ride);
+  if (index < 1 || index > points.length - 2) {
+    throw new Error('Split point must leave at least two points on each side');
+  }
+  const first = withPoints(ride, points.slice(0, index + 1), Boolean(ride.points));
+  const second = withPoints(ride, points.slice(index), Boolean(ride.points));
+  return [first, { ...second, id: createRideId(second) }];
+}
+
+// Joins rides in chronological order into one ride that keeps the earliest ride's
+// id and details. Elapsed duration includes the gaps between rides; the gaps are
+// bridged with a straight line. Overlapping rides are refused since their
+// points would go back in time.
+export function mergeRides(rides) {
+  if (rides.length < 2) throw new Error('Select at least two rides to merge');
+  const tracks = rides.map((ride) => ({ ride, points: ridePoints(ride) }));
+  if (tracks.some(({ points }) => points.length === 0)) throw new Error('Rides without a track can\'t be merged');
+  tracks.sort((a, b) => a.points[0].time - b.points[0].time);
+  tracks.forEach(({ points }, i) => {
+    const previous = tracks[i - 1];
+    if (previous && points[0].time < previous.points[previous.points.length - 1].time) {
+      throw new Error('These rides overlap in time and can\'t be merged');
+    }
+  });
+  const ordered = tracks.map(({ ride }) => ride);
+  const points = tracks.flatMap((track) => track.points);
+  const merged = withPoints(ordered[0], points, ordered.every((ride) => ride.points));
+  return {
+    ...merged,
+    tags: Array.from(new Set(ordered.flatMap((ride) => ride.tags || []))),
+    notes: ordered.map((ride) => ride.notes).filter(Boolean).join('\n\n'),
+  };
+}
@@ -0,0 +1,109 @@
+import { trimRide, splitRide, mergeRides } from './rideEdit';
+import { pathDistance } from './geo';
+
+const START = Date.UTC(2024, 4, 1, 10, 0, 0);
+
+// Points every 10 s heading north roughly 50 m apart
+function makeRide(count, start = START, extra = {}) {
+  const points = Array.from({ length: count }, (_, i) => ({
+    lat: 21 + i * 0.00045,
+    lng: 105.8,
+    time: start + i * 10000,
+    accuracy: 5,
+    altitude: null,
+    speed: null,
+    heading: null,
+  }));
+  const positions = points.map((p) => [p.lat, p.lng]);
+  return {
+    id: 'ride-1',
+    positions,
+    points,
+    distance: pathDistance(positions),
+    duration: (count - 1) * 10,
+    movingTime: (count - 1) * 10,
+    date: new Date(points[count - 1].time).toISOString(),
+    ...extra,
+  };
+}
+
+describe('trimRide', () => {
+  it('drops points outside the range and recomputes totals', () => {
+    const ride = makeRide(10);
+    const trimmed = trimRide(ride, 2, 6);
+    expect(trimmed.positions).toHaveLength(5);
+    expect(trimmed.points[0]).toBe(ride.points[2]);
+    expect(trimmed.duration).toBe(40);
+    expect(trimmed.movingTime).toBe(40);
+    expect(trimmed.distance).toBeCloseTo(pathDistance(ride.positions.slice(2, 7)));
+    expect(trimmed.date).toBe(new Date(ride.points[6].time).toISOString());
+    expect(trimmed.id).toBe(ride.id);
+  });
+
+  it('trims rides saved without per-point details', () => {
+    const { points, movingTime, ...legacy } = makeRide(5);
+    const trimmed = trimRide(legacy, 0, 2);
+    expect(trimmed.points).toBeUndefined();
+    expect(trimmed.duration).toBe(20);
+  });
+
+  it('rejects ranges shorter than two points', () => {
+    expect(() => trimRide(makeRide(5), 3, 3)).toThrow();
+  });
+});
+
+describe('splitRide', () => {
+  it('splits into two rides sharing the split point', () => {
+    const ride = makeRide(10);
+    const [first, second] = splitRide(ride, 4);
+    expect(first.positions).toHaveLength(5);
+    expect(second.positions).toHaveLength(6);
+    expect(first.distance + second.distance).toBeCloseTo(ride.distance);
+    expect(first.duration + second.duration).toBe(ride.duration);
+    expect(first.id).toBe(ride.id);
+    expect(second.id).not.toBe(ride.id);
+  });
+});
+
+describe('mergeRides', () => {
+  it('joins rides in time order and keeps the earliest ride', () => {
+    const early = makeRide(4, START, { id: 'early', tags: ['commute'], notes: 'Out' });
+    const late = makeRide(4, START + 600000, { id: 'late', tags: ['commute', 'rain'], notes: 'Back' });
+    const merged = mergeRides([late, early]);
+    expect(merged.id).toBe('early');
+    expect(merged.positions).toHaveLength(8);
+    expect(merged.duration).toBe(630);
+    expect(merged.movingTime).toBe(60);
+    expect(merged.tags).toEqual(['commute', 'rain']);
+    expect(merged.notes).toBe('Out\n\nBack');
+  });
+
+  it('keeps time moving forward across the joined rides', () => {
+    const rides = [START + 1200000, START, START + 600000].map((start, i) => makeRide(3, start, { id: `ride-${i}` }));
+    const merged = mergeRides(rides);
+    expect(merged.id).toBe('ride-1');
+    const times = merged.points.map((p) => p.time);
+    expect(times).toEqual([...times].sort((a, b) => a - b));
+  });
+
+  it('joins a ride that starts as the previous one ends', () => {
+    const first = makeRide(4, START, { id: 'first' });
+    const second = makeRide(4, START + 30000, { id: 'second' });
+    expect(mergeRides([first, second]).points).toHaveLength(8);
+  });
+
+  it('refuses overlapping rides', () => {
+    const first = makeRide(4, START, { id: 'first' });
+    const second = makeRide(4, START + 20000, { id: 'second' });
+    expect(() => mergeRides([second, first])).toThrow('overlap');
+  });
+
+  it('refuses rides without positions', () => {
+    const empty = { id: 'empty', positions: [], distance: 0, duration: 0, date: new Date(START).toISOString() };
+    expect(() => mergeRides([makeRide(4), empty])).toThrow('without a track');
+  });
+
+  it('needs at least two rides', () => {
+    expect(() => mergeRides([makeRide(4)])).toThrow('at least two');
+  });
+});
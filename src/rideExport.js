@@ -0,0 +1,174 @@
+import { haversineDistance } from './geo';
+import { ridePoints } from './rideStats';
+import { rideTitle } from './rideStore';
+import { rideRouteLabel } from './rideAddresses';
+
+// Export saved rides as GPX 1.1, TCX and GeoJSON files
+
+const CREATOR = 'GPS Map App';
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// Activity types per sport for each format; rides without a sport are bike rides
+const GPX_TYPES = { bike: 'cycling', run: 'running', walk: 'walking' };
+const TCX_SPORTS = { bike: 'Biking', run: 'Running', walk: 'Other' };
+
+const isoTime = (time) => new Date(time).toISOString();
+
+// Notes followed by where the ride started and ended, once those are known
+function rideDescription(ride) {
+  return [ride.notes, rideRouteLabel(ride, false)].filter(Boolean).join('\n');
+}
+
+function rideStartTime(ride) {
+  const points = ridePoints(ride);
+  return points.length ? isoTime(points[0].time) : new Date(ride.date).toISOString();
+}
+
+function gpxTrack(ride) {
+  const points = ridePoints(ride)
+    .map((p) => {
+      const ele = p.altitude !== null ? `<ele>${p.altitude.toFixed(1)}</ele>` : '';
+      return `      <trkpt lat="${p.lat}" lon="${p.lng}">${ele}<time>${isoTime(p.time)}</time></trkpt>`;
+    })
+    .join('\n');
+  return [
+    '  <trk>',
+    `    <name>${escapeXml(rideTitle(ride))}</name>`,
+    rideDescription(ride) ? `    <desc>${escapeXml(rideDescription(ride))}</desc>` : null,
+    `    <type>${GPX_TYPES[ride.sport] || GPX_TYPES.bike}</type>`,
+    '    <trkseg>',
+    points,
+    '    </trkseg>',
+    '  </trk>',
+  ].filter(Boolean).join('\n');
+}
+
+export function ridesToGPX(rides) {
+  const time = rides.length ? rideStartTime(rides[0]) : new Date().toISOString();
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<gpx version="1.1" creator="${CREATOR}" xmlns="http://www.topografix.com/GPX/1/1" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">`,
+    '  <metadata>',
+    `    <name>${escapeXml(rides.length === 1 ? rideTitle(rides[0]) : 'Ride History')}</name>`,
+    `    <time>${time}</time>`,
+    '  </metadata>',
+    ...rides.map(gpxTrack),
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+function tcxActivity(ride) {
+  const points = ridePoints(ride);
+  const start = rideStartTime(ride);
+  let cumulative = 0;
+  const trackpoints = points.map((p, i) => {
+    if (i > 0) cumulative += haversineDistance(points[i - 1].lat, points[i - 1].lng, p.lat, p.lng);
+    return [
+      '            <Trackpoint>',
+      `              <Time>${isoTime(p.time)}</Time>`,
+      '              <Position>',
+      `                <LatitudeDegrees>${p.lat}</LatitudeDegrees>`,
+      `                <LongitudeDegrees>${p.lng}</LongitudeDegrees>`,
+      '              </Position>',
+      p.altitude !== null ? `              <AltitudeMeters>${p.altitude.toFixed(1)}</AltitudeMeters>` : null,
+      `              <DistanceMeters>${cumulative.toFixed(2)}</DistanceMeters>`,
+      '            </Trackpoint>',
+    ].filter(Boolean).join('\n');
+  });
+  return [
+    `    <Activity Sport="${TCX_SPORTS[ride.sport] || TCX_SPORTS.bike}">`,
+    `      <Id>${start}</Id>`,
+    `      <Lap StartTime="${start}">`,
+    `        <TotalTimeSeconds>${ride.duration || 0}</TotalTimeSeconds>`,
+    `        <DistanceMeters>${(ride.distance || 0).toFixed(2)}</DistanceMeters>`,
+    '        <Calories>0</Calories>',
+    '        <Intensity>Active</Intensity>',
+    '        <TriggerMethod>Manual</TriggerMethod>',
+    '        <Track>',
+    ...trackpoints,
+    '        </Track>',
+    '      </Lap>',
+    rideDescription(ride) ? `      <Notes>${escapeXml(rideDescription(ride))}</Notes>` : null,
+    '    </Activity>',
+  ].filter(Boolean).join('\n');
+}
+
+export function ridesToTCX(rides) {
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TrainingCenterDatabase xmlns="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance" xsi:schemaLocation="http://www.garmin.com/xmlschemas/TrainingCenterDatabase/v2 http://www.garmin.com/xmlschemas/TrainingCenterDatabasev2.xsd">',
+    '  <Activities>',
+    ...rides.map(tcxActivity),
+    '  </Activities>',
+    '</TrainingCenterDatabase>',
+    '',
+  ].join('\n');
+}
+
+function geoJSONFeature(ride) {
+  const points = ridePoints(ride);
+  return {
+    type: 'Feature',
+    properties: {
+      name: rideTitle(ride),
+      sport: ride.sport || 'bike',
+      notes: ride.notes || '',
+      tags: ride.tags || [],
+      startAddress: ride.startAddress || '',
+      endAddress: ride.endAddress || '',
+      date: ride.date,
+      distance: ride.distance,
+      duration: ride.duration,
+      coordTimes: points.map((p) => isoTime(p.time)),
+    },
+    geometry: {
+      type: 'LineString',
+      // GeoJSON uses [lng, lat(, altitude)] order
+      coordinates: points.map((p) => (p.altitude !== null ? [p.lng, p.lat, p.altitude] : [p.lng, p.lat])),
+    },
+  };
+}
+
+export function ridesToGeoJSON(rides) {
+  return JSON.stringify({
+    type: 'FeatureCollection',
+    features: rides.map(geoJSONFeature),
+  }, null, 2);
+}
+
+export const EXPORT_FORMATS = {
+  gpx: { label: 'GPX', mime: 'application/gpx+xml', serialize: ridesToGPX },
+  tcx: { label: 'TCX', mime: 'application/vnd.garmin.tcx+xml', serialize: ridesToTCX },
+  geojson: { label: 'GeoJSON', mime: 'application/geo+json', serialize: ridesToGeoJSON },
+};
+
+function downloadFile(content, filename, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  // Revoking right after click() can cancel the download in some browsers
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Serialises the given rides and triggers a browser download
+export function exportRides(rides, format) {
+  const { mime, serialize } = EXPORT_FORMATS[format];
+  const stamp = rides.length === 1
+    ? new Date(rides[0].date).toISOString().slice(0, 16).replace(':', '-')
+    : 'all';
+  downloadFile(serialize(rides), `ride-${stamp}.${format}`, mime);
+}
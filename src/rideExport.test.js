@@ -0,0 +1,44 @@
+import { ridesToGPX, ridesToTCX, ridesToGeoJSON } from './rideExport';
+
+const ride = {
+  positions: [[21.0285, 105.852], [21.0288, 105.8531], [21.0289, 105.8543]],
+  distance: 250,
+  duration: 60,
+  date: '2024-05-01T10:01:00.000Z',
+};
+
+test('writes a GPX 1.1 track with timed points', () => {
+  const gpx = ridesToGPX([ride]);
+  expect(gpx).toContain('<gpx version="1.1"');
+  expect(gpx).toContain('<trkpt lat="21.0285" lon="105.852"><time>2024-05-01T10:00:00.000Z</time></trkpt>');
+  expect(gpx.match(/<trk>/g)).toHaveLength(1);
+});
+
+test('writes one TCX activity per ride', () => {
+  const tcx = ridesToTCX([ride, ride]);
+  expect(tcx.match(/<Activity Sport="Biking">/g)).toHaveLength(2);
+  expect(tcx).toContain('<TotalTimeSeconds>60</TotalTimeSeconds>');
+});
+
+test('writes GeoJSON LineStrings in lng/lat order', () => {
+  const geojson = JSON.parse(ridesToGeoJSON([ride]));
+  expect(geojson.type).toBe('FeatureCollection');
+  expect(geojson.features[0].geometry.type).toBe('LineString');
+  expect(geojson.features[0].geometry.coordinates[0]).toEqual([105.852, 21.0285]);
+  expect(geojson.features[0].properties.coordTimes).toHaveLength(3);
+});
+
+test('uses the ride title and sport type', () => {
+  const run = { ...ride, title: 'Morning <loop>', sport: 'run', notes: 'Felt good' };
+  const gpx = ridesToGPX([run]);
+  expect(gpx).toContain('<name>Morning &lt;loop&gt;</name>');
+  expect(gpx).toContain('<type>running</type>');
+  expect(ridesToTCX([run])).toContain('<Activity Sport="Running">');
+});
+
+test('describes where the ride started and ended', () => {
+  const located = { ...ride, notes: 'Windy', startAddress: 'Hoan Kiem Lake, Hanoi', endAddress: 'West Lake, Hanoi' };
+  expect(ridesToGPX([located])).toContain('<desc>Windy\nHoan Kiem Lake, Hanoi → West Lake, Hanoi</desc>');
+  expect(ridesToTCX([located])).toContain('<Notes>Windy\nHoan Kiem Lake, Hanoi → West Lake, Hanoi</Notes>');
+  expect(JSON.parse(ridesToGeoJSON([located])).features[0].properties).toMatchObject({ startAddress: 'Hoan Kiem Lake, Hanoi', endAddress: 'West Lake, Hanoi' });
+});
@@ -0,0 +1,224 @@
+import { pathDistance } from './geo';
+
+// Parse GPX, KML and GeoJSON files into tracks and waypoints.
+// Every parser returns { name, tracks: [{ name, kind, points }], waypoints }
+// where points are { lat, lng, time?, ele? } and time is an ISO string.
+
+const XML_PARSE_ERROR = 'parsererror';
+
+function children(parent, localName) {
+  return Array.from(parent.getElementsByTagNameNS('*', localName));
+}
+
+// Text of a direct child only, so a <trk> without a <name> doesn't pick up a <trkpt>'s
+function childText(parent, localName) {
+  const el = Array.from(parent.children).find((child) => child.localName === localName);
+  return el ? el.textContent.trim() : undefined;
+}
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  if (doc.getElementsByTagName(XML_PARSE_ERROR).length > 0) {
+    throw new Error('The file is not valid XML.');
+  }
+  return doc;
+}
+
+function toIsoTime(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? undefined : time.toISOString();
+}
+
+function gpxPoint(el) {
+  const point = { lat: parseFloat(el.getAttribute('lat')), lng: parseFloat(el.getAttribute('lon')) };
+  const time = toIsoTime(childText(el, 'time'));
+  const ele = parseFloat(childText(el, 'ele'));
+  if (time) point.time = time;
+  if (!isNaN(ele)) point.ele = ele;
+  return point;
+}
+
+export function parseGPX(text) {
+  const doc = parseXml(text);
+  if (children(doc, 'gpx').length === 0) throw new Error('The file is not a GPX document.');
+  const tracks = [
+    ...children(doc, 'trk').map((trk) => ({
+      name: childText(trk, 'name'),
+      kind: 'track',
+      points: children(trk, 'trkpt').map(gpxPoint),
+    })),
+    ...children(doc, 'rte').map((rte) => ({
+      name: childText(rte, 'name'),
+      kind: 'route',
+      points: children(rte, 'rtept').map(gpxPoint),
+    })),
+  ];
+  const waypoints = children(doc, 'wpt').map((wpt) => ({ ...gpxPoint(wpt), name: childText(wpt, 'name') }));
+  const metadata = children(doc, 'metadata')[0];
+  return { name: metadata ? childText(metadata, 'name') : undefined, tracks, waypoints };
+}
+
+function kmlCoordinates(text) {
+  return text.trim().split(/\s+/).filter(Boolean).map((tuple) => {
+    const [lng, lat, ele] = tuple.split(',').map(parseFloat);
+    const point = { lat, lng };
+    if (!isNaN(ele)) point.ele = ele;
+    return point;
+  });
+}
+
+export function parseKML(text) {
+  const doc = parseXml(text);
+  if (children(doc, 'kml').length === 0) throw new Error('The file is not a KML document.');
+  const tracks = [];
+  const waypoints = [];
+  children(doc, 'Placemark').forEach((placemark) => {
+    const name = childText(placemark, 'name');
+    children(placemark, 'LineString').forEach((line) => {
+      tracks.push({ name, kind: 'track', points: kmlCoordinates(childText(line, 'coordinates') || '') });
+    });
+    // gx:Track pairs each <when> with a space separated <gx:coord>
+    children(placemark, 'Track').forEach((track) => {
+      const whens = children(track, 'when').map((el) => el.textContent.trim());
+      const points = children(track, 'coord').map((el, i) => {
+        const [lng, lat, ele] = el.textContent.trim().split(/\s+/).map(parseFloat);
+        const point = { lat, lng };
+        const time = toIsoTime(whens[i]);
+        if (time) point.time = time;
+        if (!isNaN(ele)) point.ele = ele;
+        return point;
+      });
+      tracks.push({ name, kind: 'track', points });
+    });
+    children(placemark, 'Point').forEach((pt) => {
+      const [point] = kmlCoordinates(childText(pt, 'coordinates') || '');
+      if (point) waypoints.push({ ...point, name });
+    });
+  });
+  const documentEl = children(doc, 'Document')[0];
+  return { name: documentEl ? childText(documentEl, 'name') : undefined, tracks, waypoints };
+}
+
+const NOT_GEOJSON = 'The file is not a GeoJSON document.';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Positions are [lng, lat(, ele)] arrays; anything else isn't GeoJSON
+function positionList(coordinates) {
+  if (!Array.isArray(coordinates) || !coordinates.every(Array.isArray)) throw new Error(NOT_GEOJSON);
+  return coordinates;
+}
+
+function geoJSONLine(coordinates, times, name) {
+  return {
+    name,
+    kind: 'track',
+    points: positionList(coordinates).map(([lng, lat, ele], i) => {
+      const point = { lat, lng };
+      const time = toIsoTime(times && times[i]);
+      if (time) point.time = time;
+      if (typeof ele === 'number') point.ele = ele;
+      return point;
+    }),
+  };
+}
+
+export function parseGeoJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error('The file is not valid JSON.');
+  }
+  if (!isObject(data)) throw new Error(NOT_GEOJSON);
+  const features = data.type === 'FeatureCollection'
+    ? data.features || []
+    : data.type === 'Feature'
+      ? [data]
+      : [{ type: 'Feature', properties: {}, geometry: data }];
+  if (!Array.isArray(features) || !features.every(isObject)) throw new Error(NOT_GEOJSON);
+  const tracks = [];
+  const waypoints = [];
+  features.forEach(({ geometry, properties }) => {
+    if (!geometry) return;
+    if (!isObject(geometry)) throw new Error(NOT_GEOJSON);
+    const props = isObject(properties) ? properties : {};
+    const times = props.coordTimes || (props.coordinateProperties && props.coordinateProperties.times);
+    if (geometry.type === 'LineString') {
+      tracks.push(geoJSONLine(geometry.coordinates, times, props.name));
+    } else if (geometry.type === 'MultiLineString') {
+      if (!Array.isArray(geometry.coordinates)) throw new Error(NOT_GEOJSON);
+      geometry.coordinates.forEach((line, i) => {
+        tracks.push(geoJSONLine(line, times && times[i], props.name));
+      });
+    } else if (geometry.type === 'Point') {
+      const [lng, lat] = positionList([geometry.coordinates])[0];
+      waypoints.push({ lat, lng, name: props.name });
+    }
+  });
+  return { name: data.name, tracks, waypoints };
+}
+
+function isValidPoint({ lat, lng }) {
+  return Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180;
+}
+
+// Drops unusable points and tracks, throwing when nothing drawable is left
+export function validateImport(parsed) {
+  const tracks = parsed.tracks
+    .map((track) => ({ ...track, points: track.points.filter(isValidPoint) }))
+    .filter((track) => track.points.length > 1);
+  const waypoints = parsed.waypoints.filter(isValidPoint);
+  if (tracks.length === 0 && waypoints.length === 0) {
+    throw new Error('No tracks, routes or waypoints found in the file.');
+  }
+  return { ...parsed, tracks, waypoints };
+}
+
+const PARSERS = {
+  gpx: parseGPX,
+  kml: parseKML,
+  geojson: parseGeoJSON,
+  json: parseGeoJSON,
+};
+
+export function parseTrackFile(text, filename) {
+  const extension = filename.split('.').pop().toLowerCase();
+  const parse = PARSERS[extension];
+  if (!parse) throw new Error(`Unsupported file type ".${extension}". Use GPX, KML or GeoJSON.`);
+  const parsed = validateImport(parse(text));
+  return { ...parsed, name: parsed.name || filename.replace(/\.[^.]+$/, '') };
+}
+
+export async function readTrackFile(file) {
+  return parseTrackFile(await file.text(), file.name);
+}
+
+// Converts an imported track into the shape stored in rideHistory
+export function trackToRide(track) {
+  const positions = track.points.map((p) => [p.lat, p.lng]);
+  const first = track.points[0].time;
+  const last = track.points[track.points.length - 1].time;
+  const duration = first && last ? Math.max(0, Math.round((new Date(last) - new Date(first)) / 1000)) : 0;
+  const ride = {
+    name: track.name,
+    positions,
+    distance: pathDistance(positions),
+    duration,
+    date: last || new Date().toISOString(),
+  };
+  // Per-point details are only kept when every point carries its own time
+  if (track.points.every((p) => p.time)) {
+    ride.points = track.points.map((p) => ({
+      lat: p.lat,
+      lng: p.lng,
+      time: new Date(p.time).getTime(),
+      accuracy: null,
+      altitude: p.ele !== undefined ? p.ele : null,
+      speed: null,
+      heading: null,
+    }));
+  }
+  return ride;
+}
@@ -0,0 +1,77 @@
+import { parseTrackFile, trackToRide } from './rideImport';
+
+const GPX = `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <wpt lat="21.03" lon="105.85"><name>Cafe</name></wpt>
+  <trk>
+    <name>Lake loop</name>
+    <trkseg>
+      <trkpt lat="21.0285" lon="105.852"><ele>12</ele><time>2024-05-01T10:00:00Z</time></trkpt>
+      <trkpt lat="21.0288" lon="105.8531"><time>2024-05-01T10:00:30Z</time></trkpt>
+      <trkpt lat="999" lon="105.8531"><time>2024-05-01T10:00:40Z</time></trkpt>
+      <trkpt lat="21.0289" lon="105.8543"><time>2024-05-01T10:01:00Z</time></trkpt>
+    </trkseg>
+  </trk>
+</gpx>`;
+
+test('parses GPX tracks and waypoints, dropping invalid points', () => {
+  const parsed = parseTrackFile(GPX, 'loop.gpx');
+  expect(parsed.name).toBe('loop');
+  expect(parsed.tracks).toHaveLength(1);
+  expect(parsed.tracks[0].name).toBe('Lake loop');
+  expect(parsed.tracks[0].points).toHaveLength(3);
+  expect(parsed.tracks[0].points[0]).toEqual({ lat: 21.0285, lng: 105.852, ele: 12, time: '2024-05-01T10:00:00.000Z' });
+  expect(parsed.waypoints).toEqual([{ lat: 21.03, lng: 105.85, name: 'Cafe' }]);
+});
+
+test('parses KML LineStrings', () => {
+  const kml = `<kml xmlns="http://www.opengis.net/kml/2.2"><Document><name>Doc</name>
+    <Placemark><name>Line</name><LineString><coordinates>105.852,21.0285,0 105.8531,21.0288,0</coordinates></LineString></Placemark>
+  </Document></kml>`;
+  const parsed = parseTrackFile(kml, 'line.kml');
+  expect(parsed.name).toBe('Doc');
+  expect(parsed.tracks[0].points[1]).toEqual({ lat: 21.0288, lng: 105.8531, ele: 0 });
+});
+
+test('parses GeoJSON lines with coordTimes', () => {
+  const geojson = JSON.stringify({
+    type: 'Feature',
+    properties: { coordTimes: ['2024-05-01T10:00:00Z', '2024-05-01T10:02:00Z'] },
+    geometry: { type: 'LineString', coordinates: [[105.852, 21.0285], [105.8531, 21.0288]] },
+  });
+  const ride = trackToRide(parseTrackFile(geojson, 'ride.geojson').tracks[0]);
+  expect(ride.positions).toEqual([[21.0285, 105.852], [21.0288, 105.8531]]);
+  expect(ride.duration).toBe(120);
+  expect(ride.date).toBe('2024-05-01T10:02:00.000Z');
+  expect(ride.distance).toBeGreaterThan(100);
+});
+
+test('rejects unsupported or empty files', () => {
+  expect(() => parseTrackFile('hello', 'notes.txt')).toThrow('Unsupported file type');
+  expect(() => parseTrackFile('{"type":"FeatureCollection","features":[]}', 'empty.geojson')).toThrow('No tracks');
+  expect(() => parseTrackFile('<gpx', 'broken.gpx')).toThrow('not valid XML');
+});
+
+test('rejects JSON that is not shaped like GeoJSON', () => {
+  ['null', '42', '"track"', '[]', '{"type":"FeatureCollection","features":{}}', '{"type":"FeatureCollection","features":[null]}'].forEach((text) => {
+    expect(() => parseTrackFile(text, 'odd.geojson')).toThrow('not a GeoJSON document');
+  });
+  const geometries = [
+    { type: 'LineString', coordinates: 'abc' },
+    { type: 'LineString', coordinates: [1, 2] },
+    { type: 'MultiLineString', coordinates: [[1, 2]] },
+    { type: 'Point', coordinates: null },
+    'LineString',
+  ];
+  geometries.forEach((geometry) => {
+    expect(() => parseTrackFile(JSON.stringify({ type: 'Feature', geometry }), 'odd.geojson')).toThrow('not a GeoJSON document');
+  });
+});
+
+test('only uses a GPX element\'s own name', () => {
+  const gpx = `<gpx version="1.1" xmlns="http://www.topografix.com/GPX/1/1"><trk><trkseg>
+    <trkpt lat="21.0285" lon="105.852"><name>Point A</name></trkpt>
+    <trkpt lat="21.0288" lon="105.8531"><name>Point B</name></trkpt>
+  </trkseg></trk></gpx>`;
+  expect(parseTrackFile(gpx, 'unnamed.gpx').tracks[0].name).toBeUndefined();
+});
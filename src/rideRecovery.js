@@ -0,0 +1,75 @@
+import { idbGet, idbGetAll, idbPut, idbAdd, idbClear } from './db';
+import { pathDistance } from './geo';
+
+// Checkpoints the ride being recorded so it survives reloads and killed tabs.
+// Metadata lives under one key; points are appended in chunks so each write
+// only carries the points recorded since the previous checkpoint.
+
+const META_STORE = 'activeRide';
+const POINTS_STORE = 'activeRidePoints';
+const META_KEY = 'current';
+
+// Writes are chained so a clear can never land after a later append
+let queue = Promise.resolve();
+function enqueue(task) {
+  queue = queue.then(task).catch((err) => {
+    console.error('Failed to checkpoint ride:', err);
+  });
+  return queue;
+}
+
+// Points from an append that failed; written again with the next append
+let unwritten = [];
+
+export function startCheckpoint(meta) {
+  return enqueue(async () => {
+    unwritten = [];
+    await idbClear(POINTS_STORE);
+    await idbPut(META_STORE, meta, META_KEY);
+  });
+}
+
+export function appendCheckpoint(points, meta) {
+  return enqueue(async () => {
+    unwritten = [...unwritten, ...points];
+    if (unwritten.length) await idbAdd(POINTS_STORE, unwritten);
+    unwritten = [];
+    await idbPut(META_STORE, meta, META_KEY);
+  });
+}
+
+export function clearCheckpoint() {
+  return enqueue(async () => {
+    unwritten = [];
+    await idbClear(POINTS_STORE);
+    await idbClear(META_STORE);
+  });
+}
+
+// Resolves with { startedAt, movingTime, rejected, points } or null
+export async function loadInterruptedRide() {
+  try {
+    await queue;
+    const meta = await idbGet(META_STORE, META_KEY);
+    if (!meta) return null;
+    const chunks = await idbGetAll(POINTS_STORE);
+    const points = chunks.flat();
+    return points.length ? { ...meta, points } : null;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Builds the rideHistory entry for a checkpoint the user chose to save
+export function checkpointToRide(checkpoint) {
+  const positions = checkpoint.points.map((p) => [p.lat, p.lng]);
+  const endTime = checkpoint.points[checkpoint.points.length - 1].time;
+  return {
+    positions,
+    points: checkpoint.points,
+    distance: pathDistance(positions),
+    duration: Math.max(0, Math.round((endTime - checkpoint.startedAt) / 1000)),
+    movingTime: checkpoint.movingTime,
+    date: new Date(endTime).toISOString(),
+  };
+}
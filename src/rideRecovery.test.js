@@ -0,0 +1,111 @@
+import { startCheckpoint, appendCheckpoint, clearCheckpoint, loadInterruptedRide, checkpointToRide } from './rideRecovery';
+import { failNextAdd } from './db';
+
+// In-memory stand-in for the IndexedDB stores; each call resolves on a later tick
+// like a real transaction would. Plain functions, since the jest config resets mocks.
+jest.mock('./db', () => {
+  const stores = { activeRide: new Map(), activeRidePoints: new Map() };
+  let nextKey = 1;
+  let failAdd = false;
+  const later = (fn) => new Promise((resolve) => setTimeout(resolve, 0)).then(fn);
+  return {
+    failNextAdd: () => {
+      failAdd = true;
+    },
+    idbGet: (name, key) => later(() => stores[name].get(key)),
+    idbGetAll: (name) => later(() => [...stores[name].values()]),
+    idbPut: (name, value, key) => later(() => stores[name].set(key, value)),
+    idbAdd: (name, value) => later(() => {
+      if (failAdd) {
+        failAdd = false;
+        throw new Error('QuotaExceededError');
+      }
+      stores[name].set(nextKey++, value);
+    }),
+    idbClear: (name) => later(() => stores[name].clear()),
+  };
+});
+
+const point = (lat, time) => ({ lat, lng: 105.85, time, accuracy: 5, altitude: null, speed: null, heading: null });
+const startedAt = Date.parse('2024-05-01T10:00:00Z');
+
+beforeEach(async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  await clearCheckpoint();
+});
+
+afterEach(() => console.error.mockRestore());
+
+describe('ride checkpoints', () => {
+  it('has nothing to recover without a checkpoint', async () => {
+    expect(await loadInterruptedRide()).toBeNull();
+  });
+
+  it('has nothing to recover before the first point', async () => {
+    startCheckpoint({ startedAt, movingTime: 0 });
+    expect(await loadInterruptedRide()).toBeNull();
+  });
+
+  it('recovers the appended points with the latest metadata', async () => {
+    startCheckpoint({ startedAt, movingTime: 0 });
+    appendCheckpoint([point(21.0, startedAt + 1000), point(21.001, startedAt + 2000)], { startedAt, movingTime: 2 });
+    appendCheckpoint([point(21.002, startedAt + 3000)], { startedAt, movingTime: 3, rejected: { accuracy: 1, speed: 0 } });
+    const ride = await loadInterruptedRide();
+    expect(ride.points.map((p) => p.lat)).toEqual([21.0, 21.001, 21.002]);
+    expect(ride).toMatchObject({ startedAt, movingTime: 3, rejected: { accuracy: 1, speed: 0 } });
+  });
+
+  it('runs writes in order so a clear is never overtaken by an earlier append', async () => {
+    startCheckpoint({ startedAt, movingTime: 0 });
+    appendCheckpoint([point(21.0, startedAt + 1000)], { startedAt, movingTime: 1 });
+    clearCheckpoint();
+    expect(await loadInterruptedRide()).toBeNull();
+  });
+
+  it('starts a new ride without the previous ride\'s points', async () => {
+    startCheckpoint({ startedAt, movingTime: 0 });
+    appendCheckpoint([point(21.0, startedAt + 1000)], { startedAt, movingTime: 1 });
+    startCheckpoint({ startedAt: startedAt + 60000, movingTime: 0 });
+    appendCheckpoint([point(22.0, startedAt + 61000)], { startedAt: startedAt + 60000, movingTime: 1 });
+    const ride = await loadInterruptedRide();
+    expect(ride.points.map((p) => p.lat)).toEqual([22.0]);
+    expect(ride.startedAt).toBe(startedAt + 60000);
+  });
+
+  it('writes the points of a failed append with the next one', async () => {
+    failNextAdd();
+    startCheckpoint({ startedAt, movingTime: 0 });
+    appendCheckpoint([point(21.0, startedAt + 1000)], { startedAt, movingTime: 1 });
+    appendCheckpoint([point(21.001, startedAt + 2000)], { startedAt, movingTime: 2 });
+    const ride = await loadInterruptedRide();
+    expect(ride.points.map((p) => p.lat)).toEqual([21.0, 21.001]);
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('does not carry unwritten points into the next ride', async () => {
+    failNextAdd();
+    startCheckpoint({ startedAt, movingTime: 0 });
+    appendCheckpoint([point(21.0, startedAt + 1000)], { startedAt, movingTime: 1 });
+    startCheckpoint({ startedAt: startedAt + 60000, movingTime: 0 });
+    appendCheckpoint([point(22.0, startedAt + 61000)], { startedAt: startedAt + 60000, movingTime: 1 });
+    const ride = await loadInterruptedRide();
+    expect(ride.points.map((p) => p.lat)).toEqual([22.0]);
+  });
+});
+
+describe('checkpointToRide', () => {
+  it('builds a ride ending at the last recorded point', () => {
+    const checkpoint = {
+      startedAt,
+      movingTime: 100,
+      points: [point(21.0, startedAt + 5000), point(21.001, startedAt + 65000), point(21.002, startedAt + 125000)],
+    };
+    const ride = checkpointToRide(checkpoint);
+    expect(ride.positions).toEqual([[21.0, 105.85], [21.001, 105.85], [21.002, 105.85]]);
+    expect(ride.points).toBe(checkpoint.points);
+    expect(ride.distance).toBeCloseTo(222.4, 0);
+    expect(ride.duration).toBe(125);
+    expect(ride.movingTime).toBe(100);
+    expect(ride.date).toBe('2024-05-01T10:02:05.000Z');
+  });
+});
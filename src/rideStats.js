@@ -0,0 +1,187 @@
+import { haversineDistance } from './geo';
+
+// Track-point model and derived ride statistics.
+// A ride stores `positions` ([lat, lng] pairs used for drawing) and a parallel
+// `points` array of { lat, lng, time, accuracy, altitude, speed, heading },
+// where time is epoch milliseconds and missing sensor values are null.
+
+// Below this speed (m/s) a segment counts as stopped for moving time
+export const MOVING_SPEED_THRESHOLD = 0.5;
+// Altitude changes smaller than this (metres) are treated as GPS noise
+const ELEVATION_NOISE = 3;
+
+const orNull = (value) => (typeof value === 'number' && !isNaN(value) ? value : null);
+
+// Builds a track point from a Geolocation API position
+export function toTrackPoint(pos) {
+  const { latitude, longitude, accuracy, altitude, speed, heading } = pos.coords;
+  return {
+    lat: latitude,
+    lng: longitude,
+    time: pos.timestamp || Date.now(),
+    accuracy: orNull(accuracy),
+    altitude: orNull(altitude),
+    speed: orNull(speed),
+    heading: orNull(heading),
+  };
+}
+
+// Returns the ride's track points. Rides saved before points were recorded only
+// have `positions`, so their times are spread evenly over the ride's duration.
+export function ridePoints(ride) {
+  const positions = ride.positions || [];
+  if (ride.points && ride.points.length === positions.length) return ride.points;
+  const end = new Date(ride.date).getTime();
+  const start = end - (ride.duration || 0) * 1000;
+  const step = positions.length > 1 ? (end - start) / (positions.length - 1) : 0;
+  return positions.map(([lat, lng], i) => ({
+    lat,
+    lng,
+    time: Math.round(start + step * i),
+    accuracy: null,
+    altitude: null,
+    speed: null,
+    heading: null,
+  }));
+}
+
+function segmentDistance(a, b) {
+  return haversineDistance(a.lat, a.lng, b.lat, b.lng);
+}
+
+// Cumulative distance in metres at each point
+export function cumulativeDistances(points) {
+  const result = points.length ? [0] : [];
+  for (let i = 1; i < points.length; i++) {
+    result.push(result[i - 1] + segmentDistance(points[i - 1], points[i]));
+  }
+  return result;
+}
+
+export function movingTime(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    const dt = (points[i].time - points[i - 1].time) / 1000;
+    if (dt > 0 && segmentDistance(points[i - 1], points[i]) / dt >= MOVING_SPEED_THRESHOLD) {
+      total += dt;
+    }
+  }
+  return Math.round(total);
+}
+
+// Highest speed in m/s, preferring the receiver's Doppler speed over position deltas
+export function maxSpeed(points) {
+  let max = 0;
+  for (let i = 0; i < points.length; i++) {
+    let speed = points[i].speed;
+    if (speed === null || speed === undefined) {
+      if (i === 0) continue;
+      const dt = (points[i].time - points[i - 1].time) / 1000;
+      if (dt < 1) continue;
+      speed = segmentDistance(points[i - 1], points[i]) / dt;
+    }
+    if (speed > max) max = speed;
+  }
+  return max;
+}
+
+export function elevationGain(points) {
+  let gain = 0;
+  let reference = null;
+  points.forEach(({ altitude }) => {
+    if (altitude === null || altitude === undefined) return;
+    if (reference === null) {
+      reference = altitude;
+    } else if (altitude - reference >= ELEVATION_NOISE) {
+      gain += altitude - reference;
+      reference = altitude;
+    } else if (altitude < reference) {
+      reference = altitude;
+    }
+  });
+  return gain;
+}
+
+// Time taken for each full kilometre plus the trailing partial one:
+// [{ km, distance, duration, pace }] with pace in seconds per km
+export function splits(points, splitLength = 1000) {
+  if (points.length < 2) return [];
+  const distances = cumulativeDistances(points);
+  const result = [];
+  let splitStartTime = points[0].time;
+  let boundary = splitLength;
+  for (let i = 1; i < points.length; i++) {
+    while (distances[i] >= boundary) {
+      // Interpolate the moment the boundary was crossed within this segment
+      const segment = distances[i] - distances[i - 1];
+      const ratio = segment > 0 ? (boundary - distances[i - 1]) / segment : 1;
+      const crossTime = points[i - 1].time + ratio * (points[i].time - points[i - 1].time);
+      const duration = (crossTime - splitStartTime) / 1000;
+      result.push({ km: result.length + 1, distance: splitLength, duration, pace: duration });
+      splitStartTime = crossTime;
+      boundary += splitLength;
+    }
+  }
+  const remaining = distances[distances.length - 1] - (boundary - splitLength);
+  if (remaining > 1) {
+    const duration = (points[points.length - 1].time - splitStartTime) / 1000;
+    result.push({ km: result.length + 1, distance: remaining, duration, pace: duration / (remaining / splitLength) });
+  }
+  return result;
+}
+
+// Speed (m/s) against seconds since the start, for charting
+export function speedSeries(points) {
+  const result = [];
+  for (let i = 1; i < points.length; i++) {
+    const dt = (points[i].time - points[i - 1].time) / 1000;
+    const speed = points[i].speed !== null && points[i].speed !== undefined
+      ? points[i].speed
+      : dt > 0 ? segmentDistance(points[i - 1], points[i]) / dt : null;
+    if (speed !== null) result.push({ x: (points[i].time - points[0].time) / 1000, y: speed });
+  }
+  return result;
+}
+
+// Altitude (m) against distance travelled (m), skipping points without altitude
+export function elevationSeries(points) {
+  const distances = cumulativeDistances(points);
+  return points
+    .map((p, i) => ({ x: distances[i], y: p.altitude }))
+    .filter((p) => p.y !== null && p.y !== undefined);
+}
+
+// Interpolated [lat, lng] at an epoch-ms time, clamped to the ends of the track
+export function positionAtTime(points, time) {
+  if (points.length === 0) return null;
+  if (time <= points[0].time) return [points[0].lat, points[0].lng];
+  for (let i = 1; i < points.length; i++) {
+    if (time <= points[i].time) {
+      const a = points[i - 1];
+      const b = points[i];
+      const ratio = b.time > a.time ? (time - a.time) / (b.time - a.time) : 1;
+      return [a.lat + (b.lat - a.lat) * ratio, a.lng + (b.lng - a.lng) * ratio];
+    }
+  }
+  const last = points[points.length - 1];
+  return [last.lat, last.lng];
+}
+
+export function computeRideStats(ride) {
+  const points = ridePoints(ride);
+  return {
+    // Rides recorded with pause tracking store their moving time directly
+    movingTime: typeof ride.movingTime === 'number' ? ride.movingTime : movingTime(points),
+    maxSpeed: maxSpeed(points),
+    elevationGain: elevationGain(points),
+    splits: splits(points),
+  };
+}
+
+export function formatDuration(seconds) {
+  const total = Math.round(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = (total % 60).toString().padStart(2, '0');
+  return h > 0 ? `${h}:${m.toString().padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
@@ -0,0 +1,63 @@
+import { ridePoints, movingTime, maxSpeed, elevationGain, splits, positionAtTime, formatDuration } from './rideStats';
+
+// Points roughly 100 m apart heading north, one every 20 s (5 m/s)
+const northward = (count, { start = 0, altitude = null } = {}) =>
+  Array.from({ length: count }, (_, i) => ({
+    lat: 21 + (i * 100) / 111195,
+    lng: 105.85,
+    time: start + i * 20000,
+    accuracy: 5,
+    altitude: altitude ? altitude(i) : null,
+    speed: null,
+    heading: null,
+  }));
+
+test('spreads legacy point timestamps over the ride duration', () => {
+  const points = ridePoints({
+    positions: [[21, 105], [21.001, 105], [21.002, 105]],
+    duration: 60,
+    date: '2024-05-01T10:01:00.000Z',
+  });
+  expect(points.map((p) => new Date(p.time).toISOString())).toEqual([
+    '2024-05-01T10:00:00.000Z',
+    '2024-05-01T10:00:30.000Z',
+    '2024-05-01T10:01:00.000Z',
+  ]);
+});
+
+test('excludes stopped segments from moving time', () => {
+  const points = northward(4);
+  // Wait at the last point for two minutes
+  points.push({ ...points[3], time: points[3].time + 120000 });
+  expect(movingTime(points)).toBe(60);
+});
+
+test('derives max speed from positions when the receiver reports none', () => {
+  expect(maxSpeed(northward(3))).toBeCloseTo(5, 1);
+});
+
+test('ignores small altitude jitter in elevation gain', () => {
+  const jitter = [10, 11, 10, 12, 10, 20, 19, 25];
+  expect(elevationGain(northward(jitter.length, { altitude: (i) => jitter[i] }))).toBe(16);
+});
+
+test('splits a ride per kilometre with a trailing partial split', () => {
+  const result = splits(northward(26));
+  expect(result).toHaveLength(3);
+  expect(result[0].km).toBe(1);
+  expect(result[0].duration).toBeCloseTo(200, 0);
+  expect(result[2].distance).toBeCloseTo(500, 0);
+  expect(result[2].pace).toBeCloseTo(200, 0);
+});
+
+test('formats durations with hours when needed', () => {
+  expect(formatDuration(65)).toBe('1:05');
+  expect(formatDuration(3725)).toBe('1:02:05');
+});
+
+test('interpolates the replay position between points', () => {
+  const points = northward(3);
+  const [lat] = positionAtTime(points, 10000);
+  expect((lat - 21) * 111195).toBeCloseTo(50, 0);
+  expect(positionAtTime(points, 999999)).toEqual([points[2].lat, points[2].lng]);
+});
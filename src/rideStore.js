@@ -0,0 +1,155 @@
+import { openDb, withStore } from './db';
+
+// Persistent ride storage. Rides live in the IndexedDB `rides` store, one
+// record per ride, indexed by date. Every ride carries a schemaVersion and is
+// upgraded through RIDE_MIGRATIONS when read or written, so older shapes
+// (including the original localStorage `rideHistory` array) keep working.
+
+const STORE = 'rides';
+const LEGACY_KEY = 'rideHistory';
+
+export const SPORT_TYPES = {
+  bike: 'Bike ride',
+  run: 'Run',
+  walk: 'Walk',
+};
+const DEFAULT_SPORT = 'bike';
+
+// RIDE_MIGRATIONS[n] upgrades a ride from schema version n to n + 1.
+// Version 1 is the original { positions, distance, duration, date } shape.
+const RIDE_MIGRATIONS = [
+  // 0 -> 1: rides saved before schema versioning
+  (ride) => ride,
+  // 1 -> 2: stable ids so rides can be addressed individually
+  (ride) => ({ ...ride, id: ride.id || createRideId(ride) }),
+  // 2 -> 3: editable title, notes, sport type and tags; imported tracks carried a `name`
+  ({ name, ...ride }) => ({
+    ...ride,
+    title: ride.title || name || '',
+    notes: ride.notes || '',
+    sport: ride.sport || DEFAULT_SPORT,
+    tags: ride.tags || [],
+  }),
+  // 3 -> 4: reverse-geocoded start and end addresses, filled in later (see rideAddresses.js)
+  (ride) => ({ ...ride, startAddress: ride.startAddress ?? null, endAddress: ride.endAddress ?? null }),
+];
+
+export const RIDE_SCHEMA_VERSION = RIDE_MIGRATIONS.length;
+
+// Display name for a ride, falling back to its sport and date
+export function rideTitle(ride) {
+  return ride.title || `${SPORT_TYPES[ride.sport] || SPORT_TYPES[DEFAULT_SPORT]} ${new Date(ride.date).toLocaleString()}`;
+}
+
+// "Commute, hills ,commute" -> ['commute', 'hills']
+export function parseTags(text) {
+  const tags = text.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+export function createRideId(ride = {}) {
+  const time = ride.date ? new Date(ride.date).getTime() : Date.now();
+  return `${time.toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+export function migrateRide(ride) {
+  let migrated = ride;
+  for (let v = ride.schemaVersion || 0; v < RIDE_SCHEMA_VERSION; v++) {
+    migrated = RIDE_MIGRATIONS[v](migrated);
+  }
+  return { ...migrated, schemaVersion: RIDE_SCHEMA_VERSION };
+}
+
+// Rides are kept in localStorage only when IndexedDB can't be opened
+let useLocalStorage = false;
+
+function readLegacy() {
+  const stored = localStorage.getItem(LEGACY_KEY);
+  return stored ? JSON.parse(stored) : [];
+}
+
+function writeLegacy(rides) {
+  localStorage.setItem(LEGACY_KEY, JSON.stringify(rides));
+}
+
+const byDateDesc = (a, b) => new Date(b.date) - new Date(a.date);
+
+// Opens the database and moves any localStorage rides into it. Call once on startup.
+export async function initRideStore() {
+  try {
+    await openDb();
+  } catch (err) {
+    console.error('Falling back to localStorage for rides:', err);
+    useLocalStorage = true;
+    writeLegacy(readLegacy().map(migrateRide));
+    return;
+  }
+  const legacy = readLegacy();
+  if (legacy.length > 0) {
+    await saveRides(legacy);
+    localStorage.removeItem(LEGACY_KEY);
+  }
+}
+
+// Loads rides newest first. Without a limit every ride from `offset` on is returned.
+export async function loadRides({ offset = 0, limit = Infinity } = {}) {
+  if (useLocalStorage) {
+    const all = readLegacy().map(migrateRide).sort(byDateDesc);
+    return { rides: all.slice(offset, offset + limit), hasMore: offset + limit < all.length };
+  }
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const rides = [];
+    let skipped = offset === 0;
+    const request = db.transaction(STORE, 'readonly').objectStore(STORE).index('date').openCursor(null, 'prev');
+    request.onerror = () => reject(request.error);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (!cursor) {
+        resolve({ rides, hasMore: false });
+        return;
+      }
+      if (!skipped) {
+        skipped = true;
+        cursor.advance(offset);
+        return;
+      }
+      if (rides.length === limit) {
+        resolve({ rides, hasMore: true });
+        return;
+      }
+      rides.push(migrateRide(cursor.value));
+      cursor.continue();
+    };
+  });
+}
+
+export async function countRides() {
+  if (useLocalStorage) return readLegacy().length;
+  return withStore(STORE, 'readonly', (store) => store.count());
+}
+
+// Stores rides (new or edited) and resolves with the migrated records
+export async function saveRides(rides) {
+  const records = rides.map(migrateRide);
+  if (useLocalStorage) {
+    const ids = new Set(records.map((r) => r.id));
+    writeLegacy([...records, ...readLegacy().filter((r) => !ids.has(r.id))].sort(byDateDesc));
+    return records;
+  }
+  await withStore(STORE, 'readwrite', (store) => {
+    records.forEach((record) => store.put(record));
+  });
+  return records;
+}
+
+export async function deleteRides(ids) {
+  if (useLocalStorage) {
+    const remove = new Set(ids);
+    writeLegacy(readLegacy().filter((r) => !remove.has(r.id)));
+    return;
+  }
+  await withStore(STORE, 'readwrite', (store) => {
+    ids.forEach((id) => store.delete(id));
+  });
+}
@@ -0,0 +1,71 @@
+import { migrateRide, RIDE_SCHEMA_VERSION, initRideStore, loadRides, saveRides, deleteRides, parseTags, rideTitle } from './rideStore';
+
+const legacyRide = (date, distance = 1000) => ({ positions: [[0, 0], [0, 0.01]], distance, duration: 300, date });
+
+describe('migrateRide', () => {
+  it('upgrades unversioned rides to the current schema with an id', () => {
+    const ride = migrateRide(legacyRide('2024-05-01T10:00:00Z'));
+    expect(ride.schemaVersion).toBe(RIDE_SCHEMA_VERSION);
+    expect(typeof ride.id).toBe('string');
+    expect(ride.distance).toBe(1000);
+  });
+
+  it('leaves addresses to be looked up', () => {
+    const ride = migrateRide({ ...legacyRide('2024-05-01T10:00:00Z'), schemaVersion: 3, id: 'a' });
+    expect(ride).toMatchObject({ startAddress: null, endAddress: null });
+  });
+
+  it('leaves current rides alone', () => {
+    const ride = migrateRide(legacyRide('2024-05-01T10:00:00Z'));
+    expect(migrateRide(ride)).toEqual(ride);
+  });
+});
+
+// jsdom has no IndexedDB, so these exercise the localStorage fallback
+describe('ride store without IndexedDB', () => {
+  beforeEach(() => localStorage.clear());
+
+  it('migrates legacy rides and pages them newest first', async () => {
+    localStorage.setItem(
+      'rideHistory',
+      JSON.stringify([legacyRide('2024-05-01T10:00:00Z'), legacyRide('2024-05-03T10:00:00Z'), legacyRide('2024-05-02T10:00:00Z')])
+    );
+    await initRideStore();
+    const first = await loadRides({ limit: 2 });
+    expect(first.rides.map((r) => r.date)).toEqual(['2024-05-03T10:00:00Z', '2024-05-02T10:00:00Z']);
+    expect(first.hasMore).toBe(true);
+    const rest = await loadRides({ offset: 2, limit: 2 });
+    expect(rest.rides.map((r) => r.date)).toEqual(['2024-05-01T10:00:00Z']);
+    expect(rest.hasMore).toBe(false);
+  });
+
+  it('saves, updates and deletes by id', async () => {
+    await initRideStore();
+    const [saved] = await saveRides([legacyRide('2024-05-01T10:00:00Z')]);
+    await saveRides([{ ...saved, distance: 2000 }]);
+    let { rides } = await loadRides();
+    expect(rides).toHaveLength(1);
+    expect(rides[0].distance).toBe(2000);
+    await deleteRides([saved.id]);
+    ({ rides } = await loadRides());
+    expect(rides).toHaveLength(0);
+  });
+});
+
+describe('ride details', () => {
+  it('moves imported track names into the title and fills defaults', () => {
+    const ride = migrateRide({ ...legacyRide('2024-05-01T10:00:00Z'), name: 'Lakeside' });
+    expect(ride).toMatchObject({ title: 'Lakeside', notes: '', sport: 'bike', tags: [] });
+    expect(ride.name).toBeUndefined();
+  });
+
+  it('parses comma separated tags', () => {
+    expect(parseTags(' Commute, hills ,commute,, ')).toEqual(['commute', 'hills']);
+  });
+
+  it('falls back to sport and date for untitled rides', () => {
+    const ride = migrateRide({ ...legacyRide('2024-05-01T10:00:00Z'), sport: 'walk' });
+    expect(rideTitle(ride)).toMatch(/^Walk /);
+    expect(rideTitle({ ...ride, title: 'Dog walk' })).toBe('Dog walk');
+  });
+});
@@ -1,10 +1,124 @@
-// Simple in-memory cache for route requests
-const routeCache = new Map();
+import { haversineDistance } from './geo';
 
-export function getCachedRoute(key) {
-  return routeCache.get(key);
+// Route cache persisted in localStorage. Entries expire after a TTL, the least
+// recently used are evicted beyond the entry and size limits, and lookups match
+// waypoints within a tolerance so a slightly moved start still hits.
+
+const STORAGE_KEY = 'routeCache';
+
+export const ROUTE_CACHE_OPTIONS = {
+  maxEntries: 50,
+  maxBytes: 1500000, // serialized characters, well inside the localStorage quota
+  ttl: 7 * 24 * 60 * 60 * 1000, // ms
+  originTolerance: 100, // m; the start is the live position and moves between requests
+  tolerance: 30, // m, for stops and the destination
+};
+
+let cache = null;
+
+function load() {
+  if (cache) return cache;
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    cache = stored && Array.isArray(stored.entries) ? stored : null;
+  } catch (err) {
+    cache = null;
+  }
+  if (!cache) cache = { entries: [], stats: { hits: 0, misses: 0 } };
+  return cache;
+}
+
+function save() {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+  } catch (err) {
+    // Quota exceeded: drop the older half and try once more
+    cache.entries = cache.entries.slice(0, Math.floor(cache.entries.length / 2));
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(cache));
+    } catch (retryErr) {
+      console.error('Could not persist route cache:', retryErr);
+    }
+  }
+}
+
+// Routes differ per travel profile, so the profile is part of the key.
+// waypoints are [lat, lng] pairs: start, any stops, destination.
+export function routeCacheKey(profile, waypoints) {
+  return [profile, ...waypoints.map(([lat, lng]) => `${lat},${lng}`)].join('|');
+}
+
+// Largest waypoint distance (m) from the request, or Infinity if any is out of tolerance
+function matchDistance(entry, waypoints, options) {
+  if (entry.waypoints.length !== waypoints.length) return Infinity;
+  let worst = 0;
+  for (let i = 0; i < waypoints.length; i++) {
+    const d = haversineDistance(entry.waypoints[i][0], entry.waypoints[i][1], waypoints[i][0], waypoints[i][1]);
+    if (d > (i === 0 ? options.originTolerance : options.tolerance)) return Infinity;
+    worst = Math.max(worst, d);
+  }
+  return worst;
+}
+
+// request: { provider, profile, waypoints }. Returns the cached value or undefined.
+export function getCachedRoute({ provider, profile, waypoints }, overrides = {}) {
+  const options = { ...ROUTE_CACHE_OPTIONS, ...overrides };
+  const state = load();
+  const now = Date.now();
+  const fresh = state.entries.filter((entry) => now - entry.createdAt < options.ttl);
+  const expired = fresh.length < state.entries.length;
+  state.entries = fresh;
+  let best = null;
+  let bestDistance = Infinity;
+  state.entries.forEach((entry) => {
+    if (entry.provider !== provider || entry.profile !== profile) return;
+    const d = matchDistance(entry, waypoints, options);
+    if (d < bestDistance) {
+      best = entry;
+      bestDistance = d;
+    }
+  });
+  if (best) {
+    state.stats.hits += 1;
+    // Most recently used first
+    state.entries = [best, ...state.entries.filter((entry) => entry !== best)];
+  } else {
+    state.stats.misses += 1;
+  }
+  // The new order and stats are only kept in memory until the next insert, so
+  // a lookup doesn't rewrite the whole cache; dropping expired entries does
+  if (expired) save();
+  return best ? best.value : undefined;
+}
+
+export function setCachedRoute({ provider, profile, waypoints }, value, overrides = {}) {
+  const options = { ...ROUTE_CACHE_OPTIONS, ...overrides };
+  const state = load();
+  const size = JSON.stringify(value).length;
+  const key = routeCacheKey(profile, waypoints);
+  const entries = [
+    { provider, profile, waypoints, value, size, createdAt: Date.now() },
+    ...state.entries.filter((entry) => !(entry.provider === provider && routeCacheKey(entry.profile, entry.waypoints) === key)),
+  ];
+  // Evict least recently used entries beyond the limits
+  let bytes = 0;
+  state.entries = entries.filter((entry, idx) => {
+    bytes += entry.size;
+    return idx < options.maxEntries && bytes <= options.maxBytes;
+  });
+  save();
+}
+
+export function routeCacheStats() {
+  const state = load();
+  return {
+    ...state.stats,
+    entries: state.entries.length,
+    bytes: state.entries.reduce((sum, entry) => sum + entry.size, 0),
+  };
 }
 
-export function setCachedRoute(key, value) {
-  routeCache.set(key, value);
+export function clearRouteCache() {
+  cache = { entries: [], stats: { hits: 0, misses: 0 } };
+  localStorage.removeItem(STORAGE_KEY);
 }
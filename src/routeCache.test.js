@@ -0,0 +1,69 @@
+import { getCachedRoute, setCachedRoute, routeCacheStats, clearRouteCache, ROUTE_CACHE_OPTIONS } from './routeCache';
+
+const start = [21.0285, 105.852];
+const end = [21.04, 105.86];
+const request = (waypoints = [start, end], profile = 'cycling') => ({ provider: 'osrm', profile, waypoints });
+const value = (distance) => ({ routes: [{ route: [start, end], distance, duration: 300, legs: [], steps: [] }] });
+
+beforeEach(() => {
+  clearRouteCache();
+  localStorage.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+test('matches a start that moved a little but not a different destination', () => {
+  setCachedRoute(request(), value(1000));
+  // ~55 m north of the cached start
+  expect(getCachedRoute(request([[21.0290, 105.852], end]))).toEqual(value(1000));
+  // ~110 m from the cached destination
+  expect(getCachedRoute(request([start, [21.041, 105.86]]))).toBeUndefined();
+  expect(getCachedRoute(request([start, end], 'walking'))).toBeUndefined();
+  expect(routeCacheStats()).toMatchObject({ hits: 1, misses: 2, entries: 1 });
+});
+
+test('expires entries after the TTL', () => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+  setCachedRoute(request(), value(1000));
+  Date.now.mockReturnValue(now + ROUTE_CACHE_OPTIONS.ttl + 1);
+  expect(getCachedRoute(request())).toBeUndefined();
+  expect(routeCacheStats().entries).toBe(0);
+});
+
+test('evicts the least recently used entry beyond the limit', () => {
+  const destinations = [[21.05, 105.86], [21.06, 105.86], [21.07, 105.86]];
+  destinations.forEach((d, i) => setCachedRoute(request([start, d]), value(i), { maxEntries: 2 }));
+  expect(getCachedRoute(request([start, destinations[0]]))).toBeUndefined();
+  expect(getCachedRoute(request([start, destinations[1]]))).toEqual(value(1));
+  // destinations[1] was just used, so destinations[2] is now the oldest
+  setCachedRoute(request([start, [21.08, 105.86]]), value(3), { maxEntries: 2 });
+  expect(getCachedRoute(request([start, destinations[2]]))).toBeUndefined();
+  expect(getCachedRoute(request([start, destinations[1]]))).toEqual(value(1));
+});
+
+test('persists to localStorage', () => {
+  setCachedRoute(request(), value(1000));
+  const stored = JSON.parse(localStorage.getItem('routeCache'));
+  expect(stored.entries).toHaveLength(1);
+  jest.isolateModules(() => {
+    const fresh = require('./routeCache');
+    expect(fresh.getCachedRoute(request())).toEqual(value(1000));
+  });
+});
+
+test('only writes to localStorage when entries are added or dropped', () => {
+  const now = Date.now();
+  jest.spyOn(Date, 'now').mockReturnValue(now);
+  setCachedRoute(request(), value(1000));
+  const setItem = jest.spyOn(Storage.prototype, 'setItem');
+  expect(getCachedRoute(request())).toEqual(value(1000));
+  expect(getCachedRoute(request([start, [21.05, 105.86]]))).toBeUndefined();
+  expect(setItem).not.toHaveBeenCalled();
+  Date.now.mockReturnValue(now + ROUTE_CACHE_OPTIONS.ttl + 1);
+  getCachedRoute(request());
+  expect(setItem).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(localStorage.getItem('routeCache')).entries).toHaveLength(0);
+});
@@ -0,0 +1,441 @@
+import { TRAVEL_PROFILES, estimateDuration } from './travelProfiles';
+import { normalizeSteps } from './navigation';
+
+// Routing providers. Each adapter turns a request for [lat, lng] waypoints into
+//   { routes: [{ route: [lat, lng][], distance (m), duration (s), legs: [{ distance, duration }], steps }] }
+// (steps as in navigation.js) and reports failures as RoutingError, so callers
+// don't depend on which router answered. createRouter() adds retries with
+// backoff and falls back to the next provider when one fails.
+//
+// Providers with an isochrone endpoint also implement
+//   isochrone({ center, profile, minutes }) -> { bands: [{ minutes, polygons }] }
+// where polygons are Leaflet-style lists of [lat, lng] rings, smallest band first.
+
+export const OSRM_DEMO_URL = 'https://router.project-osrm.org';
+
+export const DEFAULT_TIMEOUT = 10000; // ms
+
+export const ROUTING_ERRORS = {
+  NO_ROUTE: 'no-route',
+  RATE_LIMITED: 'rate-limited',
+  NETWORK: 'network',
+  INVALID_TOKEN: 'invalid-token',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  UNSUPPORTED: 'unsupported',
+  BAD_REQUEST: 'bad-request',
+  REQUEST_FAILED: 'request-failed',
+};
+
+const ERROR_MESSAGES = {
+  [ROUTING_ERRORS.NO_ROUTE]: 'No route found between these points.',
+  [ROUTING_ERRORS.RATE_LIMITED]: 'The routing service is busy. Try again in a moment.',
+  [ROUTING_ERRORS.NETWORK]: 'Network error. Check your connection and try again.',
+  [ROUTING_ERRORS.INVALID_TOKEN]: 'The routing service rejected the API key.',
+  [ROUTING_ERRORS.TIMEOUT]: 'The routing service took too long to respond.',
+  [ROUTING_ERRORS.CANCELLED]: 'The directions request was cancelled.',
+  [ROUTING_ERRORS.UNSUPPORTED]: 'The routing service does not support this request.',
+  [ROUTING_ERRORS.BAD_REQUEST]: 'The routing service rejected this request.',
+  [ROUTING_ERRORS.REQUEST_FAILED]: 'Failed to fetch directions.',
+};
+
+// Worth retrying against the same provider; a rejected request (BAD_REQUEST)
+// would only be rejected again
+const RETRYABLE = [ROUTING_ERRORS.RATE_LIMITED, ROUTING_ERRORS.NETWORK, ROUTING_ERRORS.TIMEOUT, ROUTING_ERRORS.REQUEST_FAILED];
+
+export class RoutingError extends Error {
+  constructor(code, provider, { message = ERROR_MESSAGES[code], retryAfter = null } = {}) {
+    super(message);
+    this.name = 'RoutingError';
+    this.code = code;
+    this.provider = provider;
+    // Seconds the provider asked us to wait (429 Retry-After), if any
+    this.retryAfter = retryAfter;
+  }
+
+  get retryable() {
+    return RETRYABLE.includes(this.code);
+  }
+}
+
+// Decodes an encoded polyline (precision 5 for Google-style, 6 for Valhalla) into [lat, lng] pairs
+export function decodePolyline(encoded, precision = 5) {
+  const factor = 10 ** precision;
+  const coordinates = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (index < encoded.length) {
+    lat += nextValue();
+    lng += nextValue();
+    coordinates.push([lat / factor, lng / factor]);
+  }
+  return coordinates;
+}
+
+// Fetches JSON with a timeout and an optional caller AbortSignal. Transport,
+// auth, rate-limit and server errors become RoutingErrors; other responses are
+// returned for the adapter to interpret (routers report "no route" as 4xx or 200;
+// any other 4xx is a BAD_REQUEST).
+async function fetchJson(provider, url, options = {}, { signal = null, timeout = DEFAULT_TIMEOUT } = {}) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+  const cancel = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', cancel);
+  }
+  try {
+    let response;
+    try {
+      response = await fetch(url, { ...options, signal: controller.signal });
+    } catch (err) {
+      if (timedOut) throw new RoutingError(ROUTING_ERRORS.TIMEOUT, provider);
+      if (controller.signal.aborted) throw new RoutingError(ROUTING_ERRORS.CANCELLED, provider);
+      throw new RoutingError(ROUTING_ERRORS.NETWORK, provider);
+    }
+    if (response.status === 429) {
+      const retryAfter = Number(response.headers && response.headers.get('Retry-After')) || null;
+      throw new RoutingError(ROUTING_ERRORS.RATE_LIMITED, provider, { retryAfter });
+    }
+    if (response.status === 401 || response.status === 403) {
+      throw new RoutingError(ROUTING_ERRORS.INVALID_TOKEN, provider);
+    }
+    if (response.status >= 500) {
+      throw new RoutingError(ROUTING_ERRORS.REQUEST_FAILED, provider);
+    }
+    try {
+      return { response, data: await response.json() };
+    } catch (err) {
+      if (controller.signal.aborted) throw new RoutingError(ROUTING_ERRORS.CANCELLED, provider);
+      throw new RoutingError(response.ok ? ROUTING_ERRORS.REQUEST_FAILED : ROUTING_ERRORS.BAD_REQUEST, provider);
+    }
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', cancel);
+  }
+}
+
+const lngLat = (waypoints) => waypoints.map(([lat, lng]) => `${lng},${lat}`).join(';');
+
+// GeoJSON Polygon or MultiPolygon geometry -> list of polygons, each a list of [lat, lng] rings
+function geoJsonPolygons(geometry) {
+  const polygons = geometry.type === 'MultiPolygon' ? geometry.coordinates : [geometry.coordinates];
+  return polygons.map((rings) => rings.map((ring) => ring.map(([lng, lat]) => [lat, lng])));
+}
+
+// Mapbox and Valhalla both answer with contour features tagged by minutes
+function parseContours(provider, response, data) {
+  if (!response.ok) throw new RoutingError(ROUTING_ERRORS.BAD_REQUEST, provider);
+  if (!data.features || data.features.length === 0) throw new RoutingError(ROUTING_ERRORS.REQUEST_FAILED, provider);
+  return {
+    bands: data.features
+      .map((feature) => ({ minutes: feature.properties.contour, polygons: geoJsonPolygons(feature.geometry) }))
+      .sort((a, b) => a.minutes - b.minutes),
+  };
+}
+
+// OSRM and Mapbox share a response format. Codes other than NoRoute/NoSegment
+// (InvalidQuery, InvalidInput, TooBig, ...) mean the request itself was wrong.
+function parseOsrmRoutes(provider, response, data, durationOf = (item) => item.duration) {
+  if (data.code === 'NoRoute' || data.code === 'NoSegment') throw new RoutingError(ROUTING_ERRORS.NO_ROUTE, provider);
+  if (!response.ok || (data.code && data.code !== 'Ok')) throw new RoutingError(ROUTING_ERRORS.BAD_REQUEST, provider);
+  if (!data.routes || data.routes.length === 0) throw new RoutingError(ROUTING_ERRORS.NO_ROUTE, provider);
+  return data.routes.map((r) => ({
+    route: r.geometry.coordinates.map(([lng, lat]) => [lat, lng]),
+    distance: r.distance,
+    duration: durationOf(r),
+    legs: r.legs.map((leg) => ({ distance: leg.distance, duration: durationOf(leg) })),
+    steps: normalizeSteps(r.legs),
+  }));
+}
+
+export function createMapboxProvider({ token }) {
+  const id = 'mapbox';
+  return {
+    id,
+    label: 'Mapbox',
+    async route({ waypoints, profile, alternatives = false, signal, timeout }) {
+      if (!token) throw new RoutingError(ROUTING_ERRORS.INVALID_TOKEN, id);
+      const url = `https://api.mapbox.com/directions/v5/mapbox/${TRAVEL_PROFILES[profile].mapbox}/${lngLat(waypoints)}?geometries=geojson&overview=full&steps=true&alternatives=${alternatives}&access_token=${token}`;
+      const { response, data } = await fetchJson(id, url, {}, { signal, timeout });
+      return { routes: parseOsrmRoutes(id, response, data) };
+    },
+    // Up to four contours of at most 60 minutes
+    async isochrone({ center: [lat, lng], profile, minutes, signal, timeout }) {
+      if (!token) throw new RoutingError(ROUTING_ERRORS.INVALID_TOKEN, id);
+      const url = `https://api.mapbox.com/isochrone/v1/mapbox/${TRAVEL_PROFILES[profile].mapbox}/${lng},${lat}?contours_minutes=${minutes.join(',')}&polygons=true&access_token=${token}`;
+      const { response, data } = await fetchJson(id, url, {}, { signal, timeout });
+      return parseContours(id, response, data);
+    },
+  };
+}
+
+// Works with the public demo server or a self-hosted OSRM. The demo server only
+// has a car profile, so for it other profiles' durations are estimated.
+export function createOsrmProvider({ baseUrl = OSRM_DEMO_URL, estimateDurations = baseUrl === OSRM_DEMO_URL } = {}) {
+  const id = 'osrm';
+  return {
+    id,
+    label: 'OSRM',
+    async route({ waypoints, profile, alternatives = false, signal, timeout }) {
+      const url = `${baseUrl}/route/v1/${TRAVEL_PROFILES[profile].osrm}/${lngLat(waypoints)}?overview=full&geometries=geojson&steps=true&alternatives=${alternatives}`;
+      const { response, data } = await fetchJson(id, url, {}, { signal, timeout });
+      const durationOf = estimateDurations && profile !== 'driving'
+        ? (item) => estimateDuration(item.distance, profile)
+        : (item) => item.duration;
+      return { routes: parseOsrmRoutes(id, response, data, durationOf) };
+    },
+  };
+}
+
+function parseValhallaTrip(trip) {
+  const legs = trip.legs.map((leg) => ({ shape: decodePolyline(leg.shape, 6), leg }));
+  return {
+    route: legs.flatMap(({ shape }, idx) => (idx === 0 ? shape : shape.slice(1))),
+    distance: trip.summary.length * 1000,
+    duration: trip.summary.time,
+    legs: trip.legs.map((leg) => ({ distance: leg.summary.length * 1000, duration: leg.summary.time })),
+    steps: legs.flatMap(({ shape, leg }) =>
+      leg.maneuvers.map((m) => ({
+        instruction: m.instruction,
+        distance: m.length * 1000,
+        location: shape[m.begin_shape_index],
+        type: null,
+        modifier: null,
+      }))
+    ),
+  };
+}
+
+export function createValhallaProvider({ baseUrl, apiKey = null }) {
+  const id = 'valhalla';
+  return {
+    id,
+    label: 'Valhalla',
+    async route({ waypoints, profile, alternatives = false, signal, timeout }) {
+      const body = {
+        locations: waypoints.map(([lat, lon]) => ({ lat, lon })),
+        costing: TRAVEL_PROFILES[profile].valhalla,
+        directions_options: { units: 'kilometers' },
+        ...(alternatives ? { alternates: 2 } : {}),
+      };
+      const url = `${baseUrl}/route${apiKey ? `?api_key=${apiKey}` : ''}`;
+      const { response, data } = await fetchJson(id, url, { method: 'POST', body: JSON.stringify(body) }, { signal, timeout });
+      // 442: no path could be found for the input
+      if (data.error_code === 442) throw new RoutingError(ROUTING_ERRORS.NO_ROUTE, id);
+      if (!response.ok) throw new RoutingError(ROUTING_ERRORS.BAD_REQUEST, id);
+      if (!data.trip) throw new RoutingError(ROUTING_ERRORS.REQUEST_FAILED, id);
+      return { routes: [data.trip, ...(data.alternates || []).map((alt) => alt.trip)].map(parseValhallaTrip) };
+    },
+    async isochrone({ center: [lat, lon], profile, minutes, signal, timeout }) {
+      const body = {
+        locations: [{ lat, lon }],
+        costing: TRAVEL_PROFILES[profile].valhalla,
+        contours: minutes.map((time) => ({ time })),
+        polygons: true,
+      };
+      const url = `${baseUrl}/isochrone${apiKey ? `?api_key=${apiKey}` : ''}`;
+      const { response, data } = await fetchJson(id, url, { method: 'POST', body: JSON.stringify(body) }, { signal, timeout });
+      return parseContours(id, response, data);
+    },
+  };
+}
+
+// GraphHopper has no per-leg summary; legs end at the "via point reached" (5) and "finish" (4) instructions
+function parseGraphHopperPath(path) {
+  const route = path.points.coordinates.map(([lng, lat]) => [lat, lng]);
+  const legs = [];
+  let leg = { distance: 0, duration: 0 };
+  path.instructions.forEach((ins) => {
+    leg.distance += ins.distance;
+    leg.duration += ins.time / 1000;
+    if (ins.sign === 4 || ins.sign === 5) {
+      legs.push(leg);
+      leg = { distance: 0, duration: 0 };
+    }
+  });
+  return {
+    route,
+    distance: path.distance,
+    duration: path.time / 1000,
+    legs,
+    steps: path.instructions.map((ins) => ({
+      instruction: ins.text,
+      distance: ins.distance,
+      location: route[ins.interval[0]],
+      type: null,
+      modifier: null,
+    })),
+  };
+}
+
+export function createGraphHopperProvider({ baseUrl = 'https://graphhopper.com/api/1', apiKey = null }) {
+  const id = 'graphhopper';
+  return {
+    id,
+    label: 'GraphHopper',
+    async route({ waypoints, profile, alternatives = false, signal, timeout }) {
+      const params = new URLSearchParams({ profile: TRAVEL_PROFILES[profile].graphhopper, points_encoded: 'false', instructions: 'true' });
+      waypoints.forEach(([lat, lng]) => params.append('point', `${lat},${lng}`));
+      if (alternatives) params.set('algorithm', 'alternative_route');
+      if (apiKey) params.set('key', apiKey);
+      const { response, data } = await fetchJson(id, `${baseUrl}/route?${params}`, {}, { signal, timeout });
+      if (/connection between locations not found|cannot find point/i.test(data.message || '')) {
+        throw new RoutingError(ROUTING_ERRORS.NO_ROUTE, id);
+      }
+      if (!response.ok) throw new RoutingError(ROUTING_ERRORS.BAD_REQUEST, id);
+      if (!data.paths || data.paths.length === 0) throw new RoutingError(ROUTING_ERRORS.REQUEST_FAILED, id);
+      return { routes: data.paths.map(parseGraphHopperPath) };
+    },
+    // One request per band, since GraphHopper's buckets are evenly spaced
+    async isochrone({ center: [lat, lng], profile, minutes, signal, timeout }) {
+      const bands = await Promise.all(minutes.map(async (band) => {
+        const params = new URLSearchParams({ point: `${lat},${lng}`, profile: TRAVEL_PROFILES[profile].graphhopper, time_limit: String(band * 60) });
+        if (apiKey) params.set('key', apiKey);
+        const { response, data } = await fetchJson(id, `${baseUrl}/isochrone?${params}`, {}, { signal, timeout });
+        if (!response.ok) throw new RoutingError(ROUTING_ERRORS.BAD_REQUEST, id);
+        if (!data.polygons || data.polygons.length === 0) throw new RoutingError(ROUTING_ERRORS.REQUEST_FAILED, id);
+        return { minutes: band, polygons: data.polygons.flatMap((feature) => geoJsonPolygons(feature.geometry)) };
+      }));
+      return { bands: bands.sort((a, b) => a.minutes - b.minutes) };
+    },
+  };
+}
+
+const PROVIDER_FACTORIES = {
+  mapbox: createMapboxProvider,
+  osrm: createOsrmProvider,
+  valhalla: createValhallaProvider,
+  graphhopper: createGraphHopperProvider,
+};
+
+// { provider: 'mapbox' | 'osrm' | 'valhalla' | 'graphhopper', ...adapter options }
+export function createRoutingProvider({ provider, ...options }) {
+  const factory = PROVIDER_FACTORIES[provider];
+  if (!factory) throw new Error(`Unknown routing provider "${provider}"`);
+  return factory(options);
+}
+
+const sleep = (ms, signal) =>
+  new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new RoutingError(ROUTING_ERRORS.CANCELLED, null));
+      return;
+    }
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new RoutingError(ROUTING_ERRORS.CANCELLED, null));
+      }, { once: true });
+    }
+  });
+
+// Calls call(), retrying retryable errors with exponential backoff. A
+// Retry-After longer than maxDelay isn't waited out; the error is passed on so
+// the caller can try another provider instead.
+export async function withRetry(call, { signal = null, retries = 2, baseDelay = 500, maxDelay = 5000 } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await call();
+    } catch (err) {
+      if (!(err instanceof RoutingError) || !err.retryable || attempt >= retries) throw err;
+      const delay = err.retryAfter !== null ? err.retryAfter * 1000 : baseDelay * 2 ** attempt;
+      if (delay > maxDelay) throw err;
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// Server, network and auth failures of one provider, so another one may still
+// succeed. No route and rejected requests are answers about the request itself.
+const FALLBACK_ERRORS = [
+  ROUTING_ERRORS.RATE_LIMITED,
+  ROUTING_ERRORS.NETWORK,
+  ROUTING_ERRORS.INVALID_TOKEN,
+  ROUTING_ERRORS.TIMEOUT,
+  ROUTING_ERRORS.REQUEST_FAILED,
+];
+
+// Combines providers into one: for each request the providers implementing it
+// are tried in order (with retries) until one answers. Results carry the id of
+// the provider that answered.
+export function createRouter(providers, retryOptions = {}) {
+  const firstAnswer = async (method, request) => {
+    const capable = providers.filter((provider) => typeof provider[method] === 'function');
+    if (capable.length === 0) throw new RoutingError(ROUTING_ERRORS.UNSUPPORTED, providers[0].id);
+    let lastError = null;
+    for (const provider of capable) {
+      try {
+        const result = await withRetry(() => provider[method](request), { ...retryOptions, signal: request.signal });
+        return { ...result, provider: provider.id };
+      } catch (err) {
+        lastError = err;
+        if (!(err instanceof RoutingError) || !FALLBACK_ERRORS.includes(err.code)) throw err;
+      }
+    }
+    throw lastError;
+  };
+  return {
+    id: providers[0].id,
+    label: providers[0].label,
+    providers,
+    route: (request) => firstAnswer('route', request),
+    isochrone: (request) => firstAnswer('isochrone', request),
+  };
+}
+
+// Providers to try in order: REACT_APP_ROUTING_PROVIDER, then those listed in
+// REACT_APP_ROUTING_FALLBACK (comma separated, default "osrm"). Unknown fallback
+// names are skipped with a warning rather than breaking the app on load.
+export function routingChainFromEnv(env = process.env) {
+  const primary = routingConfigFromEnv(env);
+  const fallbacks = (env.REACT_APP_ROUTING_FALLBACK !== undefined ? env.REACT_APP_ROUTING_FALLBACK : 'osrm')
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => {
+      if (name && !PROVIDER_FACTORIES[name]) console.warn(`Ignoring unknown routing fallback "${name}"`);
+      return name && PROVIDER_FACTORIES[name] && name !== primary.provider;
+    });
+  return [primary, ...Array.from(new Set(fallbacks)).map((name) => routingConfigFromEnv(env, name))];
+}
+
+const defaultRoutingProvider = (env) => (env.REACT_APP_MAPBOX_TOKEN ? 'mapbox' : 'osrm');
+
+// Reads the provider from REACT_APP_ROUTING_PROVIDER, defaulting to Mapbox when
+// a token is set and the public OSRM server otherwise
+export function routingConfigFromEnv(env = process.env, name = null) {
+  let provider = name || env.REACT_APP_ROUTING_PROVIDER || defaultRoutingProvider(env);
+  if (!PROVIDER_FACTORIES[provider]) {
+    console.warn(`Unknown routing provider "${provider}", using ${defaultRoutingProvider(env)}`);
+    provider = defaultRoutingProvider(env);
+  }
+  switch (provider) {
+    case 'mapbox':
+      return { provider, token: env.REACT_APP_MAPBOX_TOKEN };
+    case 'osrm':
+      return { provider, baseUrl: env.REACT_APP_OSRM_URL || OSRM_DEMO_URL };
+    case 'valhalla':
+      return { provider, baseUrl: env.REACT_APP_VALHALLA_URL || 'https://valhalla1.openstreetmap.de', apiKey: env.REACT_APP_VALHALLA_KEY || null };
+    case 'graphhopper':
+      return { provider, baseUrl: env.REACT_APP_GRAPHHOPPER_URL || undefined, apiKey: env.REACT_APP_GRAPHHOPPER_KEY || null };
+    default:
+      return { provider };
+  }
+}
@@ -0,0 +1,316 @@
+import {
+  createRoutingProvider,
+  createRouter,
+  routingConfigFromEnv,
+  routingChainFromEnv,
+  decodePolyline,
+  RoutingError,
+  ROUTING_ERRORS,
+  OSRM_DEMO_URL,
+} from './routing';
+
+const waypoints = [[21.0285, 105.852], [21.03, 105.86]];
+
+const response = (body, { ok = true, status = 200, headers = {} } = {}) => ({
+  ok,
+  status,
+  headers: { get: (name) => headers[name] || null },
+  json: () => Promise.resolve(body),
+});
+
+function mockFetch(body, options) {
+  global.fetch = jest.fn().mockResolvedValue(response(body, options));
+}
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+const osrmBody = {
+  code: 'Ok',
+  routes: [{
+    distance: 1200,
+    duration: 120,
+    geometry: { coordinates: [[105.852, 21.0285], [105.86, 21.03]] },
+    legs: [{
+      distance: 1200,
+      duration: 120,
+      steps: [
+        { distance: 1200, name: 'Hang Bai', maneuver: { type: 'depart', location: [105.852, 21.0285] } },
+        { distance: 0, name: '', maneuver: { type: 'arrive', location: [105.86, 21.03] } },
+      ],
+    }],
+  }],
+};
+
+describe('OSRM provider', () => {
+  it('normalizes routes and estimates non-car durations on the demo server', async () => {
+    mockFetch(osrmBody);
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    const { routes } = await provider.route({ waypoints, profile: 'cycling' });
+    expect(global.fetch.mock.calls[0][0]).toContain(`${OSRM_DEMO_URL}/route/v1/bike/105.852,21.0285;105.86,21.03`);
+    expect(routes[0].route[0]).toEqual([21.0285, 105.852]);
+    expect(routes[0].duration).toBeCloseTo(1200 / 4.5);
+    expect(routes[0].steps[0].instruction).toBe('Start on Hang Bai');
+  });
+
+  it('trusts durations from a self-hosted server', async () => {
+    mockFetch(osrmBody);
+    const provider = createRoutingProvider({ provider: 'osrm', baseUrl: 'http://localhost:5000' });
+    const { routes } = await provider.route({ waypoints, profile: 'cycling' });
+    expect(global.fetch.mock.calls[0][0]).toMatch(/^http:\/\/localhost:5000\/route\/v1\/bike\//);
+    expect(routes[0].duration).toBe(120);
+  });
+
+  it('reports missing routes as a RoutingError', async () => {
+    mockFetch({ code: 'NoRoute', routes: [] }, { ok: false, status: 400 });
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    await expect(provider.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({
+      name: 'RoutingError',
+      code: ROUTING_ERRORS.NO_ROUTE,
+      provider: 'osrm',
+    });
+  });
+
+  it('reports rejected requests separately from missing routes', async () => {
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    mockFetch({ code: 'InvalidQuery', message: 'Query string malformed' }, { ok: false, status: 400 });
+    await expect(provider.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST });
+    global.fetch = jest.fn().mockResolvedValue({ ok: false, status: 400, headers: { get: () => null }, json: () => Promise.reject(new SyntaxError('Unexpected token <')) });
+    await expect(provider.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST });
+  });
+
+  it('reports network failures as a RoutingError', async () => {
+    global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    const error = await provider.route({ waypoints, profile: 'cycling' }).catch((err) => err);
+    expect(error).toBeInstanceOf(RoutingError);
+    expect(error.code).toBe(ROUTING_ERRORS.NETWORK);
+  });
+
+  it('types rate limits and rejected keys', async () => {
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    mockFetch({}, { ok: false, status: 429, headers: { 'Retry-After': '2' } });
+    await expect(provider.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.RATE_LIMITED, retryAfter: 2 });
+    mockFetch({}, { ok: false, status: 401 });
+    await expect(provider.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.INVALID_TOKEN });
+  });
+
+  it('times out and tells timeouts from cancellation', async () => {
+    // Never answers, but rejects like fetch once aborted
+    global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(new DOMException('Aborted', 'AbortError')));
+    }));
+    const provider = createRoutingProvider({ provider: 'osrm' });
+    await expect(provider.route({ waypoints, profile: 'cycling', timeout: 10 })).rejects.toMatchObject({ code: ROUTING_ERRORS.TIMEOUT });
+    const controller = new AbortController();
+    const pending = provider.route({ waypoints, profile: 'cycling', signal: controller.signal });
+    controller.abort();
+    await expect(pending).rejects.toMatchObject({ code: ROUTING_ERRORS.CANCELLED });
+  });
+});
+
+describe('createRouter', () => {
+  const retryOptions = { baseDelay: 0 };
+
+  it('retries transient failures with the same provider', async () => {
+    global.fetch = jest.fn()
+      .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+      .mockResolvedValueOnce(response({}, { ok: false, status: 503 }))
+      .mockResolvedValueOnce(response(osrmBody));
+    const router = createRouter([createRoutingProvider({ provider: 'osrm' })], retryOptions);
+    const { routes, provider } = await router.route({ waypoints, profile: 'cycling' });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(provider).toBe('osrm');
+    expect(routes).toHaveLength(1);
+  });
+
+  it('falls back to the next provider when one fails', async () => {
+    global.fetch = jest.fn((url) =>
+      Promise.resolve(url.startsWith('https://api.mapbox.com') ? response({ message: 'Not Authorized' }, { ok: false, status: 401 }) : response(osrmBody))
+    );
+    const router = createRouter(
+      [createRoutingProvider({ provider: 'mapbox', token: 'bad' }), createRoutingProvider({ provider: 'osrm' })],
+      retryOptions
+    );
+    const { provider } = await router.route({ waypoints, profile: 'cycling' });
+    // Invalid tokens aren't retried
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+    expect(provider).toBe('osrm');
+  });
+
+  it('does not fall back when there is no route', async () => {
+    mockFetch({ code: 'NoRoute', routes: [] }, { ok: false, status: 400 });
+    const router = createRouter([createRoutingProvider({ provider: 'osrm' }), createRoutingProvider({ provider: 'mapbox', token: 'pk' })], retryOptions);
+    await expect(router.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.NO_ROUTE, provider: 'osrm' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('rejected requests', () => {
+  const retryOptions = { baseDelay: 0 };
+  const chain = () => createRouter([createRoutingProvider({ provider: 'mapbox', token: 'pk' }), createRoutingProvider({ provider: 'osrm' })], retryOptions);
+
+  it('are neither retried nor handed to the fallback provider', async () => {
+    mockFetch({ code: 'InvalidInput', message: 'Too many coordinates' }, { ok: false, status: 422 });
+    await expect(chain().route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST, provider: 'mapbox' });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('are typed for Valhalla and GraphHopper', async () => {
+    mockFetch({ error_code: 154, error: 'Path distance exceeds the max distance limit' }, { ok: false, status: 400 });
+    const valhalla = createRoutingProvider({ provider: 'valhalla', baseUrl: 'http://localhost:8002' });
+    await expect(valhalla.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST });
+    mockFetch({ error_code: 442, error: 'No path could be found for input' }, { ok: false, status: 400 });
+    await expect(valhalla.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.NO_ROUTE });
+    mockFetch({ message: 'Point 0 is out of bounds' }, { ok: false, status: 400 });
+    const graphhopper = createRoutingProvider({ provider: 'graphhopper', apiKey: 'key' });
+    await expect(graphhopper.route({ waypoints, profile: 'cycling' })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST });
+    await expect(graphhopper.isochrone({ center: waypoints[0], profile: 'cycling', minutes: [10] })).rejects.toMatchObject({ code: ROUTING_ERRORS.BAD_REQUEST });
+  });
+
+  it('leave server failures to be retried and then handed on', async () => {
+    global.fetch = jest.fn((url) =>
+      Promise.resolve(url.startsWith('https://api.mapbox.com') ? response({}, { ok: false, status: 502 }) : response(osrmBody))
+    );
+    const { provider } = await chain().route({ waypoints, profile: 'cycling' });
+    expect(provider).toBe('osrm');
+    // Three tries with Mapbox, then OSRM
+    expect(global.fetch).toHaveBeenCalledTimes(4);
+  });
+});
+
+describe('Mapbox provider', () => {
+  it('normalizes isochrone contours, smallest first', async () => {
+    mockFetch({
+      features: [
+        { properties: { contour: 20 }, geometry: { type: 'Polygon', coordinates: [[[105.83, 21], [105.87, 21], [105.85, 21.04], [105.83, 21]]] } },
+        { properties: { contour: 10 }, geometry: { type: 'Polygon', coordinates: [[[105.84, 21.01], [105.86, 21.01], [105.85, 21.03], [105.84, 21.01]]] } },
+      ],
+    });
+    const provider = createRoutingProvider({ provider: 'mapbox', token: 'pk' });
+    const { bands } = await provider.isochrone({ center: [21.02, 105.85], profile: 'cycling', minutes: [10, 20] });
+    expect(global.fetch.mock.calls[0][0]).toContain('/isochrone/v1/mapbox/cycling/105.85,21.02?contours_minutes=10,20');
+    expect(bands.map((band) => band.minutes)).toEqual([10, 20]);
+    expect(bands[0].polygons[0][0][0]).toEqual([21.01, 105.84]);
+  });
+});
+
+describe('Valhalla provider', () => {
+  it('decodes the trip shape and converts kilometres', async () => {
+    mockFetch({
+      trip: {
+        summary: { length: 1.2, time: 300 },
+        legs: [{
+          // [[38.5, -120.2], [40.7, -120.95]] at precision 6
+          shape: '_izlhA~rlgdF_{geC~ywl@',
+          summary: { length: 1.2, time: 300 },
+          maneuvers: [
+            { instruction: 'Bike north.', length: 1.2, begin_shape_index: 0 },
+            { instruction: 'You have arrived.', length: 0, begin_shape_index: 1 },
+          ],
+        }],
+      },
+    });
+    const provider = createRoutingProvider({ provider: 'valhalla', baseUrl: 'http://localhost:8002' });
+    const { routes } = await provider.route({ waypoints, profile: 'cycling' });
+    const [url, options] = global.fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8002/route');
+    expect(JSON.parse(options.body).costing).toBe('bicycle');
+    expect(routes[0].distance).toBe(1200);
+    expect(routes[0].route).toEqual([[38.5, -120.2], [40.7, -120.95]]);
+    expect(routes[0].steps[1]).toMatchObject({ instruction: 'You have arrived.', location: [40.7, -120.95] });
+  });
+});
+
+describe('GraphHopper provider', () => {
+  it('splits legs at via points and converts milliseconds', async () => {
+    mockFetch({
+      paths: [{
+        distance: 1500,
+        time: 360000,
+        points: { coordinates: [[105.852, 21.0285], [105.855, 21.029], [105.86, 21.03]] },
+        instructions: [
+          { text: 'Continue', distance: 500, time: 120000, interval: [0, 1], sign: 0 },
+          { text: 'Waypoint 1', distance: 0, time: 0, interval: [1, 1], sign: 5 },
+          { text: 'Turn left', distance: 1000, time: 240000, interval: [1, 2], sign: -2 },
+          { text: 'Arrive at destination', distance: 0, time: 0, interval: [2, 2], sign: 4 },
+        ],
+      }],
+    });
+    const provider = createRoutingProvider({ provider: 'graphhopper', apiKey: 'key' });
+    const { routes } = await provider.route({ waypoints: [waypoints[0], [21.029, 105.855], waypoints[1]], profile: 'walking' });
+    expect(global.fetch.mock.calls[0][0]).toContain('profile=foot');
+    expect(routes[0].duration).toBe(360);
+    expect(routes[0].legs).toEqual([{ distance: 500, duration: 120 }, { distance: 1000, duration: 240 }]);
+    expect(routes[0].steps[2]).toMatchObject({ instruction: 'Turn left', location: [21.029, 105.855] });
+  });
+});
+
+describe('travel profiles', () => {
+  const request = async (provider, profile) => {
+    mockFetch({});
+    await provider.route({ waypoints, profile }).catch(() => {});
+    const [url, options] = global.fetch.mock.calls[0];
+    return { url, body: options && options.body ? JSON.parse(options.body) : null };
+  };
+
+  it('asks Mapbox and OSRM for the profile in the URL path', async () => {
+    const mapbox = createRoutingProvider({ provider: 'mapbox', token: 'pk' });
+    expect((await request(mapbox, 'walking')).url).toContain('/directions/v5/mapbox/walking/');
+    expect((await request(mapbox, 'driving')).url).toContain('/directions/v5/mapbox/driving/');
+    const osrm = createRoutingProvider({ provider: 'osrm' });
+    expect((await request(osrm, 'cycling')).url).toContain('/route/v1/bike/');
+    expect((await request(osrm, 'walking')).url).toContain('/route/v1/foot/');
+    expect((await request(osrm, 'driving')).url).toContain('/route/v1/car/');
+  });
+
+  it('sends Valhalla the costing model for the profile', async () => {
+    const valhalla = createRoutingProvider({ provider: 'valhalla', baseUrl: 'http://localhost:8002' });
+    expect((await request(valhalla, 'cycling')).body.costing).toBe('bicycle');
+    expect((await request(valhalla, 'walking')).body.costing).toBe('pedestrian');
+    expect((await request(valhalla, 'driving')).body.costing).toBe('auto');
+  });
+
+  it('passes GraphHopper the profile as a parameter', async () => {
+    const graphhopper = createRoutingProvider({ provider: 'graphhopper', apiKey: 'key' });
+    const profileParam = async (profile) => new URL((await request(graphhopper, profile)).url).searchParams.get('profile');
+    expect(await profileParam('cycling')).toBe('bike');
+    expect(await profileParam('walking')).toBe('foot');
+    expect(await profileParam('driving')).toBe('car');
+  });
+});
+
+describe('routingConfigFromEnv', () => {
+  it('defaults to Mapbox with a token and OSRM without', () => {
+    expect(routingConfigFromEnv({ REACT_APP_MAPBOX_TOKEN: 'pk' })).toEqual({ provider: 'mapbox', token: 'pk' });
+    expect(routingConfigFromEnv({})).toEqual({ provider: 'osrm', baseUrl: OSRM_DEMO_URL });
+  });
+
+  it('uses the configured provider and URL', () => {
+    expect(routingConfigFromEnv({ REACT_APP_ROUTING_PROVIDER: 'osrm', REACT_APP_OSRM_URL: 'http://osrm.local', REACT_APP_MAPBOX_TOKEN: 'pk' }))
+      .toEqual({ provider: 'osrm', baseUrl: 'http://osrm.local' });
+  });
+
+  it('falls back to OSRM unless configured otherwise', () => {
+    expect(routingChainFromEnv({ REACT_APP_MAPBOX_TOKEN: 'pk' }).map((c) => c.provider)).toEqual(['mapbox', 'osrm']);
+    expect(routingChainFromEnv({}).map((c) => c.provider)).toEqual(['osrm']);
+    expect(routingChainFromEnv({ REACT_APP_MAPBOX_TOKEN: 'pk', REACT_APP_ROUTING_FALLBACK: 'valhalla, osrm' }).map((c) => c.provider))
+      .toEqual(['mapbox', 'valhalla', 'osrm']);
+    expect(routingChainFromEnv({ REACT_APP_MAPBOX_TOKEN: 'pk', REACT_APP_ROUTING_FALLBACK: '' })).toHaveLength(1);
+  });
+
+  it('replaces an unknown provider with the default and skips unknown fallbacks', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(routingConfigFromEnv({ REACT_APP_ROUTING_PROVIDER: 'googel' })).toEqual({ provider: 'osrm', baseUrl: OSRM_DEMO_URL });
+    expect(routingChainFromEnv({ REACT_APP_ROUTING_PROVIDER: 'googel', REACT_APP_MAPBOX_TOKEN: 'pk', REACT_APP_ROUTING_FALLBACK: 'osmr, valhalla' }).map((c) => c.provider))
+      .toEqual(['mapbox', 'valhalla']);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"googel"'));
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('"osmr"'));
+    warn.mockRestore();
+  });
+});
+
+test('decodePolyline handles the reference example', () => {
+  expect(decodePolyline('_p~iF~ps|U_ulLnnqC_mqNvxq`@')).toEqual([[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]]);
+});
@@ -0,0 +1,20 @@
+// Intermediate stops of a route, as [lat, lng] in visiting order. Functions return
+// a new list.
+
+// Moves the stop at `from` to index `to`, shifting the ones in between
+export function moveStop(stops, from, to) {
+  if (from === to || from < 0 || to < 0 || from >= stops.length || to >= stops.length) return stops;
+  const next = [...stops];
+  next.splice(to, 0, next.splice(from, 1)[0]);
+  return next;
+}
+
+export function removeStop(stops, index) {
+  return stops.filter((_, i) => i !== index);
+}
+
+// Summed { distance, duration } of a route's legs, or null before it is routed
+export function legTotals(legs) {
+  if (!legs.length) return null;
+  return legs.reduce((acc, leg) => ({ distance: acc.distance + leg.distance, duration: acc.duration + leg.duration }), { distance: 0, duration: 0 });
+}
@@ -0,0 +1,52 @@
+import { moveStop, removeStop, legTotals } from './stops';
+
+const a = [21.01, 105.81];
+const b = [21.02, 105.82];
+const c = [21.03, 105.83];
+
+describe('moveStop', () => {
+  it('moves a stop up or down by one', () => {
+    expect(moveStop([a, b, c], 1, 0)).toEqual([b, a, c]);
+    expect(moveStop([a, b, c], 1, 2)).toEqual([a, c, b]);
+  });
+
+  it('moves a stop across several others', () => {
+    expect(moveStop([a, b, c], 0, 2)).toEqual([b, c, a]);
+    expect(moveStop([a, b, c], 2, 0)).toEqual([c, a, b]);
+  });
+
+  it('leaves the list alone for moves past either end', () => {
+    const stops = [a, b, c];
+    expect(moveStop(stops, 0, -1)).toBe(stops);
+    expect(moveStop(stops, 2, 3)).toBe(stops);
+  });
+
+  it('does not change the original list', () => {
+    const stops = [a, b, c];
+    moveStop(stops, 0, 1);
+    expect(stops).toEqual([a, b, c]);
+  });
+});
+
+describe('removeStop', () => {
+  it('removes only the stop at the index', () => {
+    expect(removeStop([a, b, c], 1)).toEqual([a, c]);
+    expect(removeStop([a, b, c], 0)).toEqual([b, c]);
+    expect(removeStop([a], 0)).toEqual([]);
+  });
+
+  it('removes one of two stops at the same spot', () => {
+    expect(removeStop([a, a, b], 1)).toEqual([a, b]);
+  });
+});
+
+describe('legTotals', () => {
+  it('sums the legs of a route', () => {
+    const legs = [{ distance: 1200, duration: 300 }, { distance: 800, duration: 200 }, { distance: 500.5, duration: 90 }];
+    expect(legTotals(legs)).toEqual({ distance: 2500.5, duration: 590 });
+  });
+
+  it('is null before the route is known', () => {
+    expect(legTotals([])).toBeNull();
+  });
+});
@@ -0,0 +1,15 @@
+// Travel profiles offered for directions, with each provider's name for them.
+// `speed` (m/s) is a typical average used for time estimates when a router
+// only has one profile (the public OSRM demo server always routes by car).
+export const TRAVEL_PROFILES = {
+  cycling: { label: 'Cycling', mapbox: 'cycling', osrm: 'bike', valhalla: 'bicycle', graphhopper: 'bike', speed: 4.5 },
+  walking: { label: 'Walking', mapbox: 'walking', osrm: 'foot', valhalla: 'pedestrian', graphhopper: 'foot', speed: 1.4 },
+  driving: { label: 'Driving', mapbox: 'driving', osrm: 'car', valhalla: 'auto', graphhopper: 'car', speed: 11 },
+};
+
+export const DEFAULT_PROFILE = 'cycling';
+
+// Estimated travel time (s) for a distance (m) at the profile's typical speed
+export function estimateDuration(distance, profile) {
+  return distance / TRAVEL_PROFILES[profile].speed;
+}